@@ -0,0 +1,201 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+// Admin dashboard for relay operators: tenants, enrolled and connected proxies and their devices,
+// recent proxy requests and connection events, plus kick and revoke actions.
+// Protected by HTTP Basic auth (adminUsername / adminPassword in config.json).
+
+const RECENT_REQUESTS_SIZE = 200;
+const RECENT_EVENTS_SIZE = 200;
+
+// Fixed-size list of the most recent entries (newest first)
+function createRecentList(size) {
+  const entries = [];
+  return {
+    add(entry) {
+      entries.unshift(entry);
+      if (entries.length > size) {
+        entries.pop();
+      }
+    },
+    list: () => entries.slice()
+  };
+}
+
+// Hide the OnSong API token in request paths (/api/<token>/... and /broadcast/api/<token>/...)
+function maskApiPath(requestPath) {
+  return requestPath.replace(/^(\/(?:broadcast\/)?api\/)[^/?]+/, '$1***');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// connections: the service's connection registry
+// enrollments: EnrollmentStore
+// disconnectProxy(conn, message): closes a proxy connection with an error message
+function createAdmin({ username, password, connections, enrollments, disconnectProxy, logger }) {
+  const recentRequests = createRecentList(RECENT_REQUESTS_SIZE);
+  const recentEvents = createRecentList(RECENT_EVENTS_SIZE);
+  const router = express.Router();
+
+  // Record a proxy connection event (connected, disconnected, rejected, superseded, heartbeat-timeout, kicked, revoked)
+  function recordEvent(event, data) {
+    recentEvents.add({ time: new Date().toISOString(), event, ...data });
+  }
+
+  // Record a finished request that was relayed to a proxy
+  function recordRequest(req, res, durationMs, tenant) {
+    recentRequests.add({
+      time: new Date().toISOString(),
+      correlationId: req.correlationId,
+      tenant: tenant,
+      uuid: req.headers['x-id'] || req.query.uuid || null,
+      method: req.method,
+      path: maskApiPath(req.originalUrl.split('?')[0]),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs)
+    });
+  }
+
+  router.use((req, res, next) => {
+    if (!password) {
+      return res.status(404).json({ error: 'Admin dashboard disabled (set adminPassword)' });
+    }
+
+    const match = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    const [user, ...rest] = match ? Buffer.from(match[1], 'base64').toString().split(':') : [];
+    if (!match || !safeEqual(user, username) || !safeEqual(rest.join(':'), password)) {
+      res.setHeader('WWW-Authenticate', 'Basic realm="OnSong Service Admin"');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Actions must come from the dashboard's own scripts: browsers don't send custom headers cross-site without CORS approval
+    if (req.method === 'POST' && req.headers['x-admin-action'] !== '1') {
+      return res.status(403).json({ error: 'Missing X-Admin-Action header' });
+    }
+
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+  });
+
+  router.get('/api/state', (req, res) => {
+    const now = Date.now();
+    const tenants = {};
+    const connectedUuids = new Set(Array.from(connections.values()).map(conn => conn.uuid));
+
+    // Every issued proxy, so offline ones can be revoked too (without the secret hash)
+    const enrolled = enrollments.list()
+      .map(enrollment => ({
+        tenant: enrollment.churchToolsUrl,
+        uuid: enrollment.uuid,
+        location: enrollment.location,
+        public: enrollment.public,
+        issuedAt: enrollment.issuedAt,
+        revoked: enrollment.revoked,
+        revokedAt: enrollment.revokedAt,
+        connected: connectedUuids.has(enrollment.uuid)
+      }))
+      .sort((a, b) => a.tenant.localeCompare(b.tenant) || String(a.issuedAt).localeCompare(String(b.issuedAt)));
+
+    for (const enrollment of enrollments.list()) {
+      const tenant = tenants[enrollment.churchToolsUrl] || (tenants[enrollment.churchToolsUrl] = {
+        churchToolsUrl: enrollment.churchToolsUrl,
+        enrolled: 0,
+        revoked: 0,
+        connected: 0
+      });
+      tenant.enrolled++;
+      if (enrollment.revoked) {
+        tenant.revoked++;
+      }
+    }
+
+    const proxies = [];
+    connections.forEach(conn => {
+      const tenant = tenants[conn.churchToolsUrl];
+      if (tenant) {
+        tenant.connected++;
+      }
+
+      proxies.push({
+        tenant: conn.churchToolsUrl,
+        uuid: conn.uuid,
+        location: conn.location,
+        public: conn.public,
+        proxyVersion: conn.proxyVersion,
+        protocolVersion: conn.protocolVersion,
+        registeredAt: conn.registeredAt,
+        uptimeSeconds: Math.round((now - conn.registeredAt.getTime()) / 1000),
+        pendingRequests: Object.keys(conn.requestHandlers).length,
+        devices: Array.from(conn.devices.values()).map(device => ({
+          deviceId: device.deviceId,
+          name: device.name,
+          addresses: device.addresses,
+          port: device.port,
+          role: device.txt ? device.txt.role : undefined,
+          online: device.online,
+          updatedAt: device.updatedAt
+        }))
+      });
+    });
+
+    res.json({
+      tenants: Object.values(tenants),
+      enrollments: enrolled,
+      proxies: proxies,
+      recentRequests: recentRequests.list(),
+      recentEvents: recentEvents.list()
+    });
+  });
+
+  // Find the connection of a proxy UUID (UUIDs are unique across tenants)
+  function findConnectionByUuid(uuid) {
+    for (const conn of connections.values()) {
+      if (conn.uuid === uuid) {
+        return conn;
+      }
+    }
+    return null;
+  }
+
+  // Disconnect a proxy; it reconnects after a few seconds unless it was revoked
+  router.post('/api/proxies/:uuid/kick', (req, res) => {
+    const conn = findConnectionByUuid(req.params.uuid);
+    if (!conn) {
+      return res.status(404).json({ error: 'Proxy not connected' });
+    }
+
+    logger.warn('Proxy kicked by administrator', { uuid: conn.uuid, churchToolsUrl: conn.churchToolsUrl });
+    recordEvent('kicked', { tenant: conn.churchToolsUrl, uuid: conn.uuid });
+    disconnectProxy(conn, 'Disconnected by administrator');
+    res.json({ success: true });
+  });
+
+  // Revoke a proxy's enrollment and disconnect it
+  router.post('/api/proxies/:uuid/revoke', (req, res) => {
+    const enrollment = enrollments.get(req.params.uuid);
+    if (!enrollment || !enrollments.setRevoked(req.params.uuid, true)) {
+      return res.status(404).json({ error: 'Unknown proxy UUID' });
+    }
+
+    logger.warn('Proxy revoked by administrator', { uuid: enrollment.uuid, churchToolsUrl: enrollment.churchToolsUrl });
+    recordEvent('revoked', { tenant: enrollment.churchToolsUrl, uuid: enrollment.uuid });
+
+    const conn = findConnectionByUuid(req.params.uuid);
+    if (conn) {
+      disconnectProxy(conn, 'Proxy has been revoked');
+    }
+    res.json({ success: true });
+  });
+
+  return { router, recordEvent, recordRequest };
+}
+
+module.exports = { createAdmin };
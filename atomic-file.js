@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// State files (enrollments, request queue) are replaced as a whole: the data goes to a temp file
+// next to the target and is renamed over it, so a crash or a full disk never leaves a truncated file.
+// Files are written owner-only, they hold secrets and request data.
+
+function tempPathFor(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+}
+
+function writeFileAtomicSync(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = tempPathFor(filePath);
+  try {
+    fs.writeFileSync(tempPath, data, { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function writeFileAtomic(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = tempPathFor(filePath);
+  try {
+    await fs.promises.writeFile(tempPath, data, { mode: 0o600 });
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomicSync, writeFileAtomic };
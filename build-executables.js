@@ -4,6 +4,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const execAsync = promisify(exec);
 
@@ -53,12 +54,29 @@ async function buildExecutable(platform) {
 
     const stats = fs.statSync(outputPath);
     console.log(`✓ Successfully built ${output} (${(stats.size / 1024 / 1024).toFixed(2)} MB)`);
+
+    return {
+      file: output,
+      size: stats.size,
+      sha256: await hashFile(outputPath)
+    };
   } catch (error) {
     console.error(`✗ Failed to build ${os} executable:`, error.message);
     throw error;
   }
 }
 
+// SHA-256 of a built executable (proxies verify self-updates against it)
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
 async function buildAll() {
   console.log('\n========================================');
   console.log('Building OnSong Proxy Executables');
@@ -92,10 +110,21 @@ async function buildAll() {
     }
 
     // Build each platform sequentially
+    const executables = {};
     for (const platform of platforms) {
-      await buildExecutable(platform);
+      executables[platform.os] = await buildExecutable(platform);
     }
 
+    // Write the manifest the service uses to offer self-updates to outdated proxies
+    const { version } = require(path.join(proxyTemplateDir, 'package.json'));
+    const manifest = {
+      version: version,
+      builtAt: new Date().toISOString(),
+      executables: executables
+    };
+    fs.writeFileSync(path.join(buildsDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    console.log(`\n✓ Wrote builds/manifest.json (proxy version ${version})`);
+
     // Clean up dist directory
     console.log('\nCleaning up dist directory...');
     await fs.promises.rm(distDir, { recursive: true, force: true });
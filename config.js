@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { LEVELS } = require('./logger');
+
+// Service configuration: defaults, overridden by config.json (or CONFIG_PATH), overridden by environment variables.
+// Every setting is validated at startup; loadConfig() throws one error listing all problems.
+const DEFAULTS = {
+  serviceUrl: 'wss://onsong.feg-karlsruhe.de:443',
+  port: 3001,
+  tlsKeyPath: '',
+  tlsCertPath: '',
+  httpRedirectPort: null,
+  acmeWebroot: '',
+  proxyCaPath: '',
+  proxyCertFingerprints: [],
+  allowedOrigins: ['*.church.tools', '*.krz.tools', 'localhost', '127.0.0.1', '*.test'],
+  tenantOrigins: {},
+  requestTimeoutMs: 30000,
+  broadcastTimeoutMs: 35000,
+  maxRequestTimeoutMs: 120000,
+  heartbeatIntervalMs: 30000,
+  heartbeatTimeoutMs: 75000,
+  downloadsDir: 'downloads',
+  enrollmentsPath: 'data/enrollments.json',
+  enrollUnknownProxies: false,
+  queuePath: 'data/queue.json',
+  queueTtlMs: 86400000,
+  queueMaxPendingPerProxy: 100,
+  queueMaxBodyBytes: 1048576,
+  queueMaxTotalBytes: 104857600,
+  duplicateProxyPolicy: 'replace',
+  metricsToken: '',
+  adminUsername: 'admin',
+  adminPassword: '',
+  logLevel: 'info'
+};
+
+// Environment variable -> setting, with how to parse the string value
+const ENV_OVERRIDES = {
+  SERVICE_URL: ['serviceUrl', value => value],
+  PORT: ['port', value => Number(value)],
+  TLS_KEY_PATH: ['tlsKeyPath', value => value],
+  TLS_CERT_PATH: ['tlsCertPath', value => value],
+  HTTP_REDIRECT_PORT: ['httpRedirectPort', value => Number(value)],
+  ACME_WEBROOT: ['acmeWebroot', value => value],
+  PROXY_CA_PATH: ['proxyCaPath', value => value],
+  PROXY_CERT_FINGERPRINTS: ['proxyCertFingerprints', value => value.split(',').map(fingerprint => fingerprint.trim()).filter(Boolean)],
+  ALLOWED_ORIGINS: ['allowedOrigins', value => value.split(',').map(pattern => pattern.trim()).filter(Boolean)],
+  REQUEST_TIMEOUT_MS: ['requestTimeoutMs', value => Number(value)],
+  BROADCAST_TIMEOUT_MS: ['broadcastTimeoutMs', value => Number(value)],
+  MAX_REQUEST_TIMEOUT_MS: ['maxRequestTimeoutMs', value => Number(value)],
+  HEARTBEAT_INTERVAL_MS: ['heartbeatIntervalMs', value => Number(value)],
+  HEARTBEAT_TIMEOUT_MS: ['heartbeatTimeoutMs', value => Number(value)],
+  DOWNLOADS_DIR: ['downloadsDir', value => value],
+  ENROLLMENTS_PATH: ['enrollmentsPath', value => value],
+  ENROLL_UNKNOWN_PROXIES: ['enrollUnknownProxies', value => value === 'true' || value === '1'],
+  QUEUE_PATH: ['queuePath', value => value],
+  QUEUE_TTL_MS: ['queueTtlMs', value => Number(value)],
+  QUEUE_MAX_PENDING_PER_PROXY: ['queueMaxPendingPerProxy', value => Number(value)],
+  QUEUE_MAX_BODY_BYTES: ['queueMaxBodyBytes', value => Number(value)],
+  QUEUE_MAX_TOTAL_BYTES: ['queueMaxTotalBytes', value => Number(value)],
+  DUPLICATE_PROXY_POLICY: ['duplicateProxyPolicy', value => value],
+  METRICS_TOKEN: ['metricsToken', value => value],
+  ADMIN_USERNAME: ['adminUsername', value => value],
+  ADMIN_PASSWORD: ['adminPassword', value => value],
+  LOG_LEVEL: ['logLevel', value => value]
+};
+
+// Settings holding file system paths, resolved relative to the service directory
+const PATH_SETTINGS = ['tlsKeyPath', 'tlsCertPath', 'acmeWebroot', 'proxyCaPath', 'downloadsDir', 'enrollmentsPath', 'queuePath'];
+
+// Proxies reconnect when they haven't seen a ping for 70 seconds
+const MAX_HEARTBEAT_INTERVAL_MS = 60000;
+
+// SHA-256 certificate fingerprint, with or without colons ("AB:CD:..." as printed by openssl x509 -fingerprint -sha256)
+const FINGERPRINT_PATTERN = /^([0-9a-f]{2}:){31}[0-9a-f]{2}$|^[0-9a-f]{64}$/i;
+
+// Origin patterns are hostnames ("localhost", "beamer.example.org") or subdomain wildcards ("*.church.tools")
+const ORIGIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+
+function loadConfig(env = process.env, baseDir = __dirname) {
+  const configPath = env.CONFIG_PATH ? path.resolve(env.CONFIG_PATH) : path.join(baseDir, 'config.json');
+  const config = { ...DEFAULTS };
+  const errors = [];
+
+  // The file is optional unless CONFIG_PATH points to it explicitly
+  if (fs.existsSync(configPath)) {
+    let fileConfig;
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+
+    for (const key of Object.keys(fileConfig)) {
+      if (!(key in DEFAULTS)) {
+        errors.push(`Unknown setting "${key}" in ${configPath}`);
+      }
+    }
+    Object.assign(config, fileConfig);
+  } else if (env.CONFIG_PATH) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  for (const name of Object.keys(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      const [key, parse] = ENV_OVERRIDES[name];
+      config[key] = parse(env[name]);
+    }
+  }
+
+  // Relative paths are relative to the service directory
+  for (const key of PATH_SETTINGS) {
+    if (typeof config[key] === 'string' && config[key]) {
+      config[key] = path.resolve(baseDir, config[key]);
+    }
+  }
+
+  validate(config, errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  config.proxyCertFingerprints = config.proxyCertFingerprints.map(normalizeFingerprint);
+
+  config.configPath = fs.existsSync(configPath) ? configPath : null;
+
+  return config;
+}
+
+function validate(config, errors) {
+  let serviceUrl = null;
+  try {
+    serviceUrl = new URL(config.serviceUrl);
+  } catch (error) {
+    errors.push(`serviceUrl must be a URL, got ${JSON.stringify(config.serviceUrl)}`);
+  }
+  if (serviceUrl && !['ws:', 'wss:'].includes(serviceUrl.protocol)) {
+    errors.push(`serviceUrl must start with ws:// or wss://, got ${config.serviceUrl}`);
+  }
+
+  if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+    errors.push(`port must be an integer between 1 and 65535, got ${JSON.stringify(config.port)}`);
+  }
+
+  validateTls(config, errors);
+
+  validateProxyTrust(config, errors);
+
+  validateOriginPatterns('allowedOrigins', config.allowedOrigins, errors);
+
+  if (!config.tenantOrigins || typeof config.tenantOrigins !== 'object' || Array.isArray(config.tenantOrigins)) {
+    errors.push('tenantOrigins must be an object mapping ChurchTools hostnames to origin patterns');
+  } else {
+    for (const tenant of Object.keys(config.tenantOrigins)) {
+      validateOriginPatterns(`tenantOrigins["${tenant}"]`, config.tenantOrigins[tenant], errors);
+    }
+  }
+
+  for (const key of ['requestTimeoutMs', 'broadcastTimeoutMs', 'maxRequestTimeoutMs']) {
+    if (!Number.isInteger(config[key]) || config[key] < 1000) {
+      errors.push(`${key} must be an integer of at least 1000, got ${JSON.stringify(config[key])}`);
+    }
+  }
+
+  if (!Number.isInteger(config.heartbeatIntervalMs) || config.heartbeatIntervalMs < 1000 || config.heartbeatIntervalMs > MAX_HEARTBEAT_INTERVAL_MS) {
+    errors.push(`heartbeatIntervalMs must be an integer between 1000 and ${MAX_HEARTBEAT_INTERVAL_MS} (proxies reconnect after 70 seconds without a ping), got ${JSON.stringify(config.heartbeatIntervalMs)}`);
+  }
+
+  // A proxy needs at least one ping interval to answer before it counts as dead
+  if (!Number.isInteger(config.heartbeatTimeoutMs) || config.heartbeatTimeoutMs <= config.heartbeatIntervalMs) {
+    errors.push(`heartbeatTimeoutMs must be an integer greater than heartbeatIntervalMs (${config.heartbeatIntervalMs}), got ${JSON.stringify(config.heartbeatTimeoutMs)}`);
+  }
+
+  for (const key of ['downloadsDir', 'enrollmentsPath', 'queuePath']) {
+    if (typeof config[key] !== 'string' || !config[key]) {
+      errors.push(`${key} must be a non-empty path`);
+    }
+  }
+
+  if (!Number.isInteger(config.queueTtlMs) || config.queueTtlMs < 60000) {
+    errors.push(`queueTtlMs must be an integer of at least 60000, got ${JSON.stringify(config.queueTtlMs)}`);
+  }
+  if (!Number.isInteger(config.queueMaxPendingPerProxy) || config.queueMaxPendingPerProxy < 1) {
+    errors.push(`queueMaxPendingPerProxy must be a positive integer, got ${JSON.stringify(config.queueMaxPendingPerProxy)}`);
+  }
+  if (!Number.isInteger(config.queueMaxBodyBytes) || config.queueMaxBodyBytes < 1) {
+    errors.push(`queueMaxBodyBytes must be a positive integer, got ${JSON.stringify(config.queueMaxBodyBytes)}`);
+  }
+  // Base64 makes a stored body a third larger than it was sent
+  if (!Number.isInteger(config.queueMaxTotalBytes) || config.queueMaxTotalBytes < config.queueMaxBodyBytes * 2) {
+    errors.push(`queueMaxTotalBytes must be an integer of at least twice queueMaxBodyBytes (${config.queueMaxBodyBytes}), got ${JSON.stringify(config.queueMaxTotalBytes)}`);
+  }
+
+  if (typeof config.enrollUnknownProxies !== 'boolean') {
+    errors.push(`enrollUnknownProxies must be true or false, got ${JSON.stringify(config.enrollUnknownProxies)}`);
+  }
+
+  if (!['replace', 'reject'].includes(config.duplicateProxyPolicy)) {
+    errors.push(`duplicateProxyPolicy must be 'replace' or 'reject', got ${JSON.stringify(config.duplicateProxyPolicy)}`);
+  }
+
+  if (typeof config.metricsToken !== 'string') {
+    errors.push('metricsToken must be a string');
+  }
+
+  if (typeof config.adminUsername !== 'string' || !config.adminUsername || config.adminUsername.includes(':')) {
+    errors.push('adminUsername must be a non-empty string without ":"');
+  }
+  if (typeof config.adminPassword !== 'string') {
+    errors.push('adminPassword must be a string');
+  }
+
+  if (!LEVELS[config.logLevel]) {
+    errors.push(`logLevel must be one of ${Object.keys(LEVELS).join(', ')}, got ${JSON.stringify(config.logLevel)}`);
+  }
+}
+
+// Direct TLS: key and certificate must both be readable; the HTTP redirect listener needs TLS
+function validateTls(config, errors) {
+  for (const key of ['tlsKeyPath', 'tlsCertPath', 'acmeWebroot']) {
+    if (typeof config[key] !== 'string') {
+      errors.push(`${key} must be a path (or empty), got ${JSON.stringify(config[key])}`);
+    }
+  }
+
+  if (!config.tlsKeyPath !== !config.tlsCertPath) {
+    errors.push('tlsKeyPath and tlsCertPath must be set together');
+  }
+  for (const key of ['tlsKeyPath', 'tlsCertPath']) {
+    if (typeof config[key] === 'string' && config[key] && !fs.existsSync(config[key])) {
+      errors.push(`${key} not found: ${config[key]} (run 'npm run setup-cert' for a self-signed pair, or see LETSENCRYPT.md)`);
+    }
+  }
+
+  if (config.httpRedirectPort !== null) {
+    if (!Number.isInteger(config.httpRedirectPort) || config.httpRedirectPort < 1 || config.httpRedirectPort > 65535) {
+      errors.push(`httpRedirectPort must be an integer between 1 and 65535 (or null), got ${JSON.stringify(config.httpRedirectPort)}`);
+    } else if (!config.tlsCertPath) {
+      errors.push('httpRedirectPort requires tlsKeyPath and tlsCertPath');
+    } else if (config.httpRedirectPort === config.port) {
+      errors.push('httpRedirectPort must differ from port');
+    }
+  }
+
+  if (config.acmeWebroot && config.httpRedirectPort === null) {
+    errors.push('acmeWebroot requires httpRedirectPort');
+  }
+}
+
+// What downloaded proxies trust: a CA bundle, pinned fingerprints, or (neither set) the system CAs
+function validateProxyTrust(config, errors) {
+  if (typeof config.proxyCaPath !== 'string') {
+    errors.push(`proxyCaPath must be a path (or empty), got ${JSON.stringify(config.proxyCaPath)}`);
+  } else if (config.proxyCaPath) {
+    if (!fs.existsSync(config.proxyCaPath)) {
+      errors.push(`proxyCaPath not found: ${config.proxyCaPath}`);
+    } else if (!fs.readFileSync(config.proxyCaPath, 'utf8').includes('-----BEGIN CERTIFICATE-----')) {
+      errors.push(`proxyCaPath must contain PEM certificates: ${config.proxyCaPath}`);
+    }
+  }
+
+  if (!Array.isArray(config.proxyCertFingerprints)) {
+    errors.push('proxyCertFingerprints must be a list of SHA-256 fingerprints');
+  } else {
+    for (const fingerprint of config.proxyCertFingerprints) {
+      if (typeof fingerprint !== 'string' || !FINGERPRINT_PATTERN.test(fingerprint)) {
+        errors.push(`proxyCertFingerprints contains invalid fingerprint ${JSON.stringify(fingerprint)} (expected SHA-256, e.g. from 'openssl x509 -noout -fingerprint -sha256 -in cert.pem')`);
+      }
+    }
+  }
+}
+
+// Fingerprints in the format Node reports them (uppercase, colon-separated)
+function normalizeFingerprint(fingerprint) {
+  return fingerprint.replace(/:/g, '').toUpperCase().match(/.{2}/g).join(':');
+}
+
+function validateOriginPatterns(name, patterns, errors) {
+  if (!Array.isArray(patterns)) {
+    errors.push(`${name} must be a list of origin patterns`);
+    return;
+  }
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || !ORIGIN_PATTERN.test(pattern)) {
+      errors.push(`${name} contains invalid pattern ${JSON.stringify(pattern)} (use a hostname like "beamer.example.org" or a wildcard like "*.church.tools")`);
+    }
+  }
+}
+
+// Check a hostname against origin patterns ("*.church.tools" matches any subdomain, other patterns match exactly)
+function matchesOriginPattern(hostname, patterns) {
+  return patterns.some(pattern => {
+    pattern = pattern.toLowerCase();
+    if (pattern.startsWith('*.')) {
+      return hostname.endsWith(pattern.slice(1));
+    }
+    return hostname === pattern;
+  });
+}
+
+module.exports = { loadConfig, matchesOriginPattern };
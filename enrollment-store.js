@@ -0,0 +1,177 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { writeFileAtomicSync } = require('./atomic-file');
+
+const scrypt = promisify(crypto.scrypt);
+const SECRET_HASH_ALGORITHM = 'hmac-sha256';
+
+// Persistent registry of every proxy issued by /download.
+// Stored as JSON: { "proxies": { "<uuid>": { uuid, churchToolsUrl, location, public, secretSalt, secretHash, secretHashAlgorithm, issuedAt, revoked, revokedAt } } }
+// Secrets are hashed with HMAC-SHA256: they are long random tokens, and unauthenticated callers (/proxies) can make
+// the service check a secret against every enrollment of a tenant, so a slow hash would be a denial of service.
+// Enrollments from before (no secretHashAlgorithm) hold scrypt hashes; they are rehashed on their next successful check.
+// The file is re-read whenever it changes on disk, so operators can edit it
+// (or use manage-proxies.js) while the service is running.
+// logger receives parse errors of a half-written or invalid file (the last good copy stays in use).
+class EnrollmentStore {
+  constructor(filePath, logger = console) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.proxies = {};
+    this.loadedMtime = null;
+  }
+
+  // Reload the registry from disk if the file changed since the last read
+  load() {
+    let stat;
+    try {
+      stat = fs.statSync(this.filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.proxies = {};
+        this.loadedMtime = null;
+        return;
+      }
+      throw error;
+    }
+
+    if (this.loadedMtime !== null && stat.mtimeMs === this.loadedMtime) {
+      return;
+    }
+
+    // Remember the mtime even if parsing fails: the error is logged once, and the next edit is read again
+    this.loadedMtime = stat.mtimeMs;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      this.logger.error('Could not read enrollment registry, keeping the last good copy', { filePath: this.filePath, error: error.message });
+      return;
+    }
+    this.proxies = data.proxies || {};
+  }
+
+  // Our own write doesn't need to be read back
+  save() {
+    writeFileAtomicSync(this.filePath, JSON.stringify({ proxies: this.proxies }, null, 2));
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  // Record a newly issued proxy
+  enroll({ uuid, churchToolsUrl, secret, location, public: isPublic }) {
+    this.load();
+
+    const secretSalt = crypto.randomBytes(16).toString('hex');
+    this.proxies[uuid] = {
+      uuid: uuid,
+      churchToolsUrl: churchToolsUrl,
+      location: location || '',
+      public: isPublic || false,
+      secretSalt: secretSalt,
+      secretHash: hashSecret(secret, secretSalt),
+      secretHashAlgorithm: SECRET_HASH_ALGORITHM,
+      issuedAt: new Date().toISOString(),
+      revoked: false
+    };
+    this.save();
+
+    return this.proxies[uuid];
+  }
+
+  // Get a single enrollment by UUID
+  get(uuid) {
+    this.load();
+    return this.proxies[uuid] || null;
+  }
+
+  // List all enrollments, optionally limited to one ChurchTools instance
+  list(churchToolsUrl) {
+    this.load();
+    const all = Object.values(this.proxies);
+    return churchToolsUrl ? all.filter(entry => entry.churchToolsUrl === churchToolsUrl) : all;
+  }
+
+  // Mark an enrollment as revoked (or restore it). Returns false if the UUID is unknown.
+  setRevoked(uuid, revoked) {
+    this.load();
+    const entry = this.proxies[uuid];
+    if (!entry) {
+      return false;
+    }
+
+    entry.revoked = revoked;
+    if (revoked) {
+      entry.revokedAt = new Date().toISOString();
+    } else {
+      delete entry.revokedAt;
+    }
+    this.save();
+    return true;
+  }
+
+  // Check a register message against the registry.
+  // Resolves to { enrollment } on success or { error } describing why the proxy is rejected.
+  async verify(churchToolsUrl, secret, uuid) {
+    const entry = this.get(uuid);
+
+    if (!entry) {
+      return { error: 'Unknown proxy UUID' };
+    }
+    if (entry.revoked) {
+      return { error: 'Proxy has been revoked' };
+    }
+    if (entry.churchToolsUrl !== churchToolsUrl) {
+      return { error: 'Proxy is not enrolled for this ChurchTools URL' };
+    }
+
+    if (!(await this.secretMatches(entry, secret))) {
+      return { error: 'Invalid secret' };
+    }
+
+    return { enrollment: entry };
+  }
+
+  // Check a plaintext secret against an enrollment's stored hash
+  async secretMatches(entry, secret) {
+    if (!secret) {
+      return false;
+    }
+    const expected = Buffer.from(entry.secretHash, 'hex');
+    if (entry.secretHashAlgorithm === SECRET_HASH_ALGORITHM) {
+      return crypto.timingSafeEqual(expected, Buffer.from(hashSecret(secret, entry.secretSalt), 'hex'));
+    }
+
+    // Legacy scrypt hash (~50 ms), checked on the thread pool instead of blocking the event loop
+    const actual = await scrypt(String(secret), entry.secretSalt, 32);
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+    this.upgradeSecretHash(entry.uuid, entry.secretHash, secret);
+    return true;
+  }
+
+  // Replace a legacy hash once the secret is known to match (unless the entry changed in the meantime)
+  upgradeSecretHash(uuid, oldHash, secret) {
+    this.load();
+    const entry = this.proxies[uuid];
+    if (!entry || entry.secretHash !== oldHash) {
+      return;
+    }
+
+    entry.secretHash = hashSecret(secret, entry.secretSalt);
+    entry.secretHashAlgorithm = SECRET_HASH_ALGORITHM;
+    try {
+      this.save();
+    } catch (error) {
+      this.logger.error('Could not save rehashed enrollment secret', { uuid, error: error.message });
+    }
+  }
+}
+
+// Hash a secret with its per-enrollment salt
+function hashSecret(secret, salt) {
+  return crypto.createHmac('sha256', salt).update(String(secret)).digest('hex');
+}
+
+module.exports = { EnrollmentStore };
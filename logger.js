@@ -0,0 +1,49 @@
+// Structured logger writing one JSON object per line:
+// {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"Proxy registered","uuid":"..."}
+// Set LOG_LEVEL to debug, info, warn or error (default: info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function createLogger(level = 'info', fields = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Invalid log level: ${level} (must be one of ${Object.keys(LEVELS).join(', ')})`);
+  }
+
+  function write(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < LEVELS[level]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: msg,
+      ...fields,
+      ...extra
+    };
+
+    // Errors don't serialize to JSON, keep their message
+    if (entry.error instanceof Error) {
+      entry.error = entry.error.message;
+    }
+
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  return {
+    level: level,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Logger that adds the given fields (e.g. a correlation ID) to every entry
+    child: (childFields) => createLogger(level, { ...fields, ...childFields })
+  };
+}
+
+module.exports = { createLogger, LEVELS };
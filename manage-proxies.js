@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+const { loadConfig } = require('./config');
+const { EnrollmentStore } = require('./enrollment-store');
+
+// Same registry file and heartbeat as the service (config.json and environment overrides)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const ENROLLMENTS_PATH = config.enrollmentsPath;
+const enrollments = new EnrollmentStore(ENROLLMENTS_PATH);
+
+const [command, arg] = process.argv.slice(2);
+
+function printUsage() {
+  console.log(`
+Manage enrolled OnSong proxies
+
+Usage:
+  npm run proxies -- list [churchToolsUrl]   List issued proxies (optionally for one ChurchTools instance)
+  npm run proxies -- revoke <uuid>           Revoke a proxy (it can no longer register)
+  npm run proxies -- restore <uuid>          Undo a revocation
+
+Registry file: ${ENROLLMENTS_PATH}
+`);
+}
+
+if (command === 'list') {
+  const entries = enrollments.list(arg);
+  if (entries.length === 0) {
+    console.log('No proxies enrolled.');
+    process.exit(0);
+  }
+
+  for (const entry of entries) {
+    const status = entry.revoked ? `revoked ${entry.revokedAt}` : 'active';
+    console.log(`${entry.uuid}  ${entry.churchToolsUrl}  location: ${entry.location || 'none'}  public: ${entry.public}  issued: ${entry.issuedAt}  (${status})`);
+  }
+} else if (command === 'revoke' || command === 'restore') {
+  if (!arg) {
+    printUsage();
+    process.exit(1);
+  }
+
+  if (!enrollments.setRevoked(arg, command === 'revoke')) {
+    console.error(`Unknown proxy UUID: ${arg}`);
+    process.exit(1);
+  }
+
+  console.log(command === 'revoke' ? `✓ Revoked proxy ${arg}` : `✓ Restored proxy ${arg}`);
+  if (command === 'revoke') {
+    console.log(`Note: a running service disconnects the proxy within ${Math.round(config.heartbeatIntervalMs / 1000)} seconds.`);
+  }
+} else {
+  printUsage();
+  process.exit(command ? 1 : 0);
+}
@@ -0,0 +1,92 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the relay service.
+// Gauges that describe current state are computed from the connection registry on every scrape.
+function createMetrics(connections) {
+  const register = new client.Registry();
+
+  client.collectDefaultMetrics({ register, prefix: 'onsong_' });
+
+  const httpRequests = new client.Counter({
+    name: 'onsong_http_requests_total',
+    help: 'HTTP requests handled, by route, method and status code',
+    labelNames: ['route', 'method', 'status'],
+    registers: [register]
+  });
+
+  const httpRequestDuration = new client.Histogram({
+    name: 'onsong_http_request_duration_seconds',
+    help: 'HTTP request latency, by route',
+    labelNames: ['route'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+  });
+
+  const proxyRequestTimeouts = new client.Counter({
+    name: 'onsong_proxy_request_timeouts_total',
+    help: 'Requests to proxies that received no response in time, by message type',
+    labelNames: ['type'],
+    registers: [register]
+  });
+
+  const proxyHeartbeatTimeouts = new client.Counter({
+    name: 'onsong_proxy_heartbeat_timeouts_total',
+    help: 'Proxy connections terminated because they stopped answering pings',
+    registers: [register]
+  });
+
+  const websocketMessages = new client.Counter({
+    name: 'onsong_websocket_messages_total',
+    help: 'WebSocket messages exchanged with proxies, by direction and message type',
+    labelNames: ['direction', 'type'],
+    registers: [register]
+  });
+
+  const downloadBuildDuration = new client.Histogram({
+    name: 'onsong_download_build_duration_seconds',
+    help: 'Time to build a proxy download package, by target OS',
+    labelNames: ['os'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+    registers: [register]
+  });
+
+  new client.Gauge({
+    name: 'onsong_connected_proxies',
+    help: 'Connected proxies, by ChurchTools instance',
+    labelNames: ['tenant'],
+    registers: [register],
+    collect() {
+      this.reset();
+      const counts = {};
+      connections.forEach(conn => {
+        counts[conn.churchToolsUrl] = (counts[conn.churchToolsUrl] || 0) + 1;
+      });
+      Object.keys(counts).forEach(tenant => this.set({ tenant }, counts[tenant]));
+    }
+  });
+
+  new client.Gauge({
+    name: 'onsong_pending_proxy_requests',
+    help: 'Requests sent to proxies that are still waiting for a response',
+    registers: [register],
+    collect() {
+      let pending = 0;
+      connections.forEach(conn => {
+        pending += Object.keys(conn.requestHandlers).length;
+      });
+      this.set(pending);
+    }
+  });
+
+  return {
+    register,
+    httpRequests,
+    httpRequestDuration,
+    proxyRequestTimeouts,
+    proxyHeartbeatTimeouts,
+    websocketMessages,
+    downloadBuildDuration
+  };
+}
+
+module.exports = { createMetrics };
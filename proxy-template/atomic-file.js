@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// State files (device sessions, self-update state) are replaced as a whole: the data goes to a temp file
+// next to the target and is renamed over it, so a crash or a full disk never leaves a truncated file.
+// Files are written owner-only, device sessions hold auth tokens.
+
+function writeFileAtomicSync(filePath, data) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  try {
+    fs.writeFileSync(tempPath, data, { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomicSync };
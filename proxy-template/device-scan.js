@@ -0,0 +1,90 @@
+const axios = require('axios');
+const { deviceUrl } = require('./network');
+
+// Finding OnSong devices without Bonjour, for networks that block multicast:
+// probe configured addresses and CIDR ranges for OnSong's HTTP API.
+
+const PROBE_TIMEOUT_MS = 1500;
+const PROBE_CONCURRENCY = 32;
+// Larger ranges take too long to probe (a /22 is 1022 hosts)
+const MIN_PREFIX_LENGTH = 22;
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+// Parse an IPv4 CIDR range ("192.168.1.0/24"). Returns { network, prefixLength } or { error }.
+function parseCidr(cidr) {
+  const match = /^(\d{1,3}(?:\.\d{1,3}){3})\/(\d{1,2})$/.exec(String(cidr));
+  if (!match || match[1].split('.').some(octet => Number(octet) > 255)) {
+    return { error: `Invalid CIDR range: ${cidr}` };
+  }
+
+  const prefixLength = Number(match[2]);
+  if (prefixLength < MIN_PREFIX_LENGTH || prefixLength > 32) {
+    return { error: `CIDR range ${cidr} must have a prefix length between /${MIN_PREFIX_LENGTH} and /32` };
+  }
+
+  const hostBits = 32 - prefixLength;
+  const network = Math.floor(ipToInt(match[1]) / 2 ** hostBits) * 2 ** hostBits;
+  return { network, prefixLength };
+}
+
+// Host addresses of a CIDR range, without the network and broadcast addresses (except for /31 and /32)
+function expandCidr(cidr) {
+  const { network, prefixLength } = parseCidr(cidr);
+  const size = 2 ** (32 - prefixLength);
+  const hosts = [];
+  const first = size > 2 ? 1 : 0;
+  const last = size > 2 ? size - 2 : size - 1;
+  for (let offset = first; offset <= last; offset++) {
+    hosts.push(intToIp(network + offset));
+  }
+  return hosts;
+}
+
+// Probe an address for OnSong's HTTP API.
+// reachable: something answered HTTP on the port; onsong: the answer looks like OnSong's JSON API.
+// This is a heuristic (routers or NAS boxes may answer JSON too), so scanned devices are only
+// contacted for the service when they are inside allowedSubnets (see checkTargetAllowed in server.js).
+async function probeDevice(ip, port) {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: deviceUrl(ip, port, '/api/onsong-proxy-probe/ping'),
+      timeout: PROBE_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    return {
+      reachable: true,
+      onsong: /^application\/json\b/i.test(response.headers['content-type'] || '')
+    };
+  } catch (error) {
+    return { reachable: false, onsong: false };
+  }
+}
+
+// Probe many addresses with limited concurrency. Returns the addresses that look like OnSong devices.
+async function scanHosts(hosts, port) {
+  const found = [];
+  let next = 0;
+
+  async function worker() {
+    while (next < hosts.length) {
+      const ip = hosts[next++];
+      if ((await probeDevice(ip, port)).onsong) {
+        found.push(ip);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(PROBE_CONCURRENCY, hosts.length) }, worker));
+  return found;
+}
+
+module.exports = { parseCidr, expandCidr, probeDevice, scanHosts };
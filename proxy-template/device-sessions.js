@@ -0,0 +1,295 @@
+const fs = require('fs');
+const axios = require('axios');
+const { deviceUrl } = require('./network');
+const { writeFileAtomicSync } = require('./atomic-file');
+
+// Long-lived OnSong device sessions: once a device is authorized (POST /api/<token>/auth),
+// keep the session alive with /ping?keepalive=60 until it expires or is stopped.
+// One session per device; re-authorizes when the device reappears or the device drops the session.
+// A device that doesn't accept the auth within AUTH_TIMEOUT_MS (e.g. the approval was declined on the iPad)
+// ends the session, so the device isn't prompted for the whole session duration.
+// Authorized sessions are saved to statePath, so a restarted proxy resumes them without
+// the devices having to be approved again.
+
+const SESSION_INTERVAL_MS = 2000; // Keepalive pings and auth retries
+const AUTH_TIMEOUT_MS = 60000; // How long auth is retried before the session is given up
+const DEVICE_TIMEOUT_MS = 5000;
+
+// resolveDevice(deviceId): { ip, port } of an online device, or null while it is offline
+// statePath: file for authorized sessions (contains device auth tokens, written owner-only)
+function createDeviceSessions({ resolveDevice, defaultDurationMs, statePath, logger }) {
+  const sessions = new Map(); // Map<deviceId, session>
+
+  // Load authorized sessions saved by a previous run. They wait for device discovery to find their
+  // device, then resume with keepalive pings (and only authorize again if the device refuses them).
+  function restore() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(statePath, 'utf8')).sessions || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not read saved device sessions', { statePath, error });
+      }
+      return;
+    }
+
+    const now = Date.now();
+    for (const entry of saved) {
+      if (!entry.deviceId || !entry.authToken || (entry.expiresAt && entry.expiresAt <= now)) {
+        continue;
+      }
+      const session = createSession(entry.deviceId, entry, 'waiting', entry.startedAt, entry.expiresAt);
+      session.lastAuthorizedAt = entry.lastAuthorizedAt;
+      session.restored = true;
+      sessions.set(entry.deviceId, session);
+      schedule(session, SESSION_INTERVAL_MS);
+    }
+
+    logger.info('Restored device sessions', { sessions: sessions.size });
+    save();
+  }
+
+  // Only authorized sessions are saved, the others have no token worth keeping
+  function save() {
+    const saved = Array.from(sessions.values())
+      .filter(session => session.lastAuthorizedAt)
+      .map(session => ({
+        deviceId: session.deviceId,
+        authToken: session.authToken,
+        method: session.method,
+        body: session.body,
+        startedAt: session.startedAt,
+        expiresAt: session.expiresAt,
+        lastAuthorizedAt: session.lastAuthorizedAt
+      }));
+
+    try {
+      writeFileAtomicSync(statePath, JSON.stringify({ sessions: saved }, null, 2));
+    } catch (error) {
+      logger.error('Could not save device sessions', { statePath, error });
+    }
+  }
+
+  function createSession(deviceId, { authToken, method = 'POST', body }, state, startedAt, expiresAt) {
+    return {
+      deviceId: deviceId,
+      authToken: authToken,
+      method: method,
+      body: body,
+      state: state,
+      startedAt: startedAt,
+      expiresAt: expiresAt,
+      authStartedAt: Date.now(),
+      lastAuthorizedAt: null,
+      lastPingAt: null,
+      lastError: null,
+      restored: false,
+      timer: null,
+      busy: false
+    };
+  }
+
+  // Start (or replace) the session of a device.
+  // authorized: the caller's own auth request already succeeded, start with keepalive pings.
+  // durationMs: how long to keep the session (0 = until stopped), defaults to defaultDurationMs.
+  function start(deviceId, { authToken, method, body, authorized = false, durationMs = defaultDurationMs }) {
+    const wasSaved = sessions.has(deviceId) && !!sessions.get(deviceId).lastAuthorizedAt;
+    stop(deviceId, false);
+
+    const now = Date.now();
+    const session = createSession(deviceId, { authToken, method, body }, authorized ? 'active' : 'authorizing', now, durationMs ? now + durationMs : null);
+    session.lastAuthorizedAt = authorized ? now : null;
+    sessions.set(deviceId, session);
+
+    logger.info('Device session started', { deviceId, state: session.state, durationMs: durationMs || null });
+    if (authorized || wasSaved) {
+      save();
+    }
+    schedule(session, authorized ? SESSION_INTERVAL_MS : 0);
+    return describe(session);
+  }
+
+  // Stop a device's session (and forget its token). Returns false if there was none.
+  function stop(deviceId, log = true) {
+    const session = sessions.get(deviceId);
+    if (!session) {
+      return false;
+    }
+
+    clearTimeout(session.timer);
+    sessions.delete(deviceId);
+    if (log) {
+      logger.info('Device session stopped', { deviceId });
+      if (session.lastAuthorizedAt) {
+        save();
+      }
+    }
+    return true;
+  }
+
+  // Stop all timers on shutdown; saved sessions stay saved for the next start
+  function stopAll() {
+    sessions.forEach(session => clearTimeout(session.timer));
+    sessions.clear();
+  }
+
+  // The device (re)appeared: it may have restarted, so authorize again right away.
+  // Restored sessions first try their saved token with a keepalive ping.
+  function deviceUp(deviceId) {
+    const session = sessions.get(deviceId);
+    if (!session) {
+      return;
+    }
+
+    if (session.restored) {
+      logger.info('Device found, resuming saved session', { deviceId });
+    } else {
+      logger.info('Device back online, re-authorizing session', { deviceId });
+      setAuthorizing(session);
+    }
+    schedule(session, 0);
+  }
+
+  // The device went away; the session waits for it until it expires
+  function deviceDown(deviceId) {
+    const session = sessions.get(deviceId);
+    if (session) {
+      session.state = 'waiting';
+    }
+  }
+
+  function setAuthorizing(session) {
+    if (session.state !== 'authorizing') {
+      session.state = 'authorizing';
+      session.authStartedAt = Date.now();
+    }
+  }
+
+  function schedule(session, delayMs) {
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => tick(session), delayMs);
+  }
+
+  async function tick(session) {
+    if (sessions.get(session.deviceId) !== session || session.busy) {
+      return;
+    }
+
+    if (session.expiresAt && Date.now() >= session.expiresAt) {
+      logger.info('Device session expired', { deviceId: session.deviceId });
+      stop(session.deviceId, false);
+      save();
+      return;
+    }
+
+    const address = resolveDevice(session.deviceId);
+    if (!address) {
+      session.state = 'waiting';
+      schedule(session, SESSION_INTERVAL_MS);
+      return;
+    }
+    if (session.state === 'waiting' && session.restored) {
+      session.restored = false;
+      session.state = 'active';
+    } else if (session.state === 'waiting') {
+      setAuthorizing(session);
+    }
+
+    session.busy = true;
+    try {
+      if (session.state === 'active') {
+        await ping(session, address);
+      } else {
+        await authorize(session, address);
+      }
+    } catch (error) {
+      // Network errors: keep the current state, the device may only be briefly unreachable
+      session.lastError = error.message;
+      logger.debug('Device session request failed', { deviceId: session.deviceId, state: session.state, error });
+    } finally {
+      session.busy = false;
+    }
+
+    if (sessions.get(session.deviceId) !== session) {
+      return;
+    }
+    if (session.state === 'authorizing' && Date.now() - session.authStartedAt >= AUTH_TIMEOUT_MS) {
+      logger.info('Device session not authorized in time, stopping it', { deviceId: session.deviceId, lastError: session.lastError });
+      stop(session.deviceId, false);
+      save();
+      return;
+    }
+    schedule(session, SESSION_INTERVAL_MS);
+  }
+
+  async function authorize(session, address) {
+    const response = await axios({
+      method: session.method,
+      url: deviceUrl(address.ip, address.port, `/api/${session.authToken}/auth`),
+      data: session.body,
+      headers: {
+        'content-type': 'application/json'
+      },
+      timeout: DEVICE_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+
+    if (response.status === 200) {
+      session.state = 'active';
+      session.lastAuthorizedAt = Date.now();
+      session.lastError = null;
+      logger.info('Device session authorized', { deviceId: session.deviceId });
+      save();
+    } else {
+      session.lastError = `Auth answered ${response.status}`;
+      logger.debug('Device session auth refused', { deviceId: session.deviceId, statusCode: response.status });
+    }
+  }
+
+  async function ping(session, address) {
+    const response = await axios({
+      method: 'GET',
+      url: deviceUrl(address.ip, address.port, `/api/${session.authToken}/ping?keepalive=60`),
+      timeout: DEVICE_TIMEOUT_MS,
+      validateStatus: () => true
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      // The device forgot the session (e.g. OnSong was restarted)
+      logger.info('Device session lost, re-authorizing', { deviceId: session.deviceId, statusCode: response.status });
+      setAuthorizing(session);
+      session.lastError = `Ping answered ${response.status}`;
+    } else {
+      session.lastPingAt = Date.now();
+      session.lastError = response.status < 400 ? null : `Ping answered ${response.status}`;
+    }
+  }
+
+  // Status of a session; auth tokens grant device access, so only a prefix is shown
+  function describe(session) {
+    const toIso = (time) => time ? new Date(time).toISOString() : null;
+    return {
+      deviceId: session.deviceId,
+      authToken: `${String(session.authToken).slice(0, 4)}…`,
+      state: session.state,
+      startedAt: toIso(session.startedAt),
+      expiresAt: toIso(session.expiresAt),
+      lastAuthorizedAt: toIso(session.lastAuthorizedAt),
+      lastPingAt: toIso(session.lastPingAt),
+      lastError: session.lastError
+    };
+  }
+
+  return {
+    restore,
+    start,
+    stop,
+    stopAll,
+    deviceUp,
+    deviceDown,
+    get: (deviceId) => sessions.has(deviceId) ? describe(sessions.get(deviceId)) : null,
+    list: () => Array.from(sessions.values()).map(describe)
+  };
+}
+
+module.exports = { createDeviceSessions };
@@ -0,0 +1,85 @@
+// Structured logger writing one JSON object per line:
+// {"time":"2026-01-01T12:00:00.000Z","level":"info","msg":"Proxy registered","uuid":"..."}
+// Set "logLevel" in config.json to debug, info, warn or error (default: info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// sinks: functions called with every entry that is written (e.g. the log buffer)
+function createLogger(level = 'info', fields = {}, sinks = []) {
+  if (!LEVELS[level]) {
+    throw new Error(`Invalid log level: ${level} (must be one of ${Object.keys(LEVELS).join(', ')})`);
+  }
+
+  function write(entryLevel, msg, extra) {
+    if (LEVELS[entryLevel] < LEVELS[level]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: msg,
+      ...fields,
+      ...extra
+    };
+
+    // Errors don't serialize to JSON, keep their message
+    if (entry.error instanceof Error) {
+      entry.error = entry.error.message;
+    }
+
+    sinks.forEach(sink => sink(entry));
+
+    const line = JSON.stringify(entry) + '\n';
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  return {
+    level: level,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Logger that adds the given fields (e.g. a correlation ID) to every entry
+    child: (childFields) => createLogger(level, { ...fields, ...childFields }, sinks)
+  };
+}
+
+// Bounded in-memory buffer of recent log entries, so logs can be fetched remotely
+// from proxies whose log files are out of reach. Listeners receive new entries as they are added.
+function createLogBuffer(size = 1000) {
+  const entries = [];
+  const listeners = new Set();
+
+  return {
+    add(entry) {
+      entries.push(entry);
+      if (entries.length > size) {
+        entries.shift();
+      }
+      listeners.forEach(listener => listener(entry));
+    },
+
+    // Entries at or above minLevel, newer than since (ISO time), at most the last `limit`
+    query({ level = 'debug', since, limit = 200 } = {}) {
+      const minLevel = LEVELS[level] || LEVELS.debug;
+      const sinceTime = since ? new Date(since).getTime() : 0;
+      const matching = entries.filter(entry =>
+        LEVELS[entry.level] >= minLevel && new Date(entry.time).getTime() > sinceTime
+      );
+      return matching.slice(-limit);
+    },
+
+    // Returns a function that removes the listener
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+module.exports = { createLogger, createLogBuffer, LEVELS };
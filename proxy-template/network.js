@@ -0,0 +1,112 @@
+const net = require('net');
+const os = require('os');
+
+// Network helpers for multi-homed machines and IPv6 devices: which local interfaces and
+// subnets discovery is bound to, which device address to use, and device URLs.
+
+// Parse a CIDR range ("192.168.1.0/24", "fd00::/64"). Returns { address, prefixLength, family } or { error }.
+function parseSubnet(cidr) {
+  const [address, prefix, extra] = String(cidr).split('/');
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  const prefixLength = Number(prefix);
+  const maxPrefixLength = family === 'ipv4' ? 32 : 128;
+  if (!family || extra !== undefined || !/^\d{1,3}$/.test(prefix || '') || prefixLength > maxPrefixLength) {
+    return { error: `Invalid subnet: ${cidr}` };
+  }
+  return { address, prefixLength, family };
+}
+
+function stripZone(address) {
+  return address.split('%')[0];
+}
+
+// Non-internal addresses of the local interfaces, limited to the given interface names (all if empty)
+function getInterfaceAddresses(interfaceNames = []) {
+  const interfaces = os.networkInterfaces();
+  const result = [];
+  for (const name of Object.keys(interfaces)) {
+    if (interfaceNames.length > 0 && !interfaceNames.includes(name)) {
+      continue;
+    }
+    for (const iface of interfaces[name]) {
+      if (!iface.internal) {
+        result.push({ name, address: iface.address, family: iface.family, cidr: iface.cidr });
+      }
+    }
+  }
+  return result;
+}
+
+// Build a check for device addresses: inside one of the subnets, or on the network of one of the
+// interfaces. Without interfaces or subnets every address passes.
+// DHCP and VPNs change interface networks at runtime: call refresh() on the returned check to read
+// them again (the ranges are only rebuilt when they changed).
+function createAddressFilter(interfaceNames, subnets) {
+  if (interfaceNames.length === 0 && subnets.length === 0) {
+    const allowAll = () => true;
+    allowAll.refresh = () => {};
+    return allowAll;
+  }
+
+  let blockList = null;
+  let currentRanges = null;
+
+  function refresh() {
+    const ranges = subnets.concat(interfaceNames.length > 0
+      ? getInterfaceAddresses(interfaceNames).map(iface => iface.cidr).filter(Boolean)
+      : []);
+    if (currentRanges && ranges.join(',') === currentRanges.join(',')) {
+      return;
+    }
+
+    currentRanges = ranges;
+    blockList = new net.BlockList();
+    for (const range of ranges) {
+      const subnet = parseSubnet(range);
+      if (!subnet.error) {
+        blockList.addSubnet(subnet.address, subnet.prefixLength, subnet.family);
+      }
+    }
+  }
+
+  const isAllowed = (address) => {
+    const ip = stripZone(address);
+    const family = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+    return !!family && blockList.check(ip, family);
+  };
+  isAllowed.refresh = refresh;
+  refresh();
+  return isAllowed;
+}
+
+function isLinkLocal(address) {
+  return /^fe[89ab][0-9a-f]:/i.test(address);
+}
+
+// Pick the address to reach a device: IPv4 first, then routable IPv6 (global or unique local).
+// Link-local IPv6 (fe80::) needs a zone ID, which URLs can't carry, so it is never picked.
+function selectDeviceAddress(addresses = []) {
+  return addresses.find(addr => net.isIPv4(addr)) ||
+    addresses.find(addr => net.isIPv6(addr) && !isLinkLocal(addr)) ||
+    null;
+}
+
+// Accept IPv6 literals with or without brackets ("[fd00::5]" from an ONSONGIP header)
+function normalizeIp(ip) {
+  return String(ip).replace(/^\[(.*)\]$/, '$1');
+}
+
+// URL of a device request; IPv6 literals are bracketed
+function deviceUrl(ip, port, path) {
+  const host = normalizeIp(ip);
+  return `http://${net.isIPv6(host) ? `[${host}]` : host}:${port}${path}`;
+}
+
+module.exports = {
+  parseSubnet,
+  getInterfaceAddresses,
+  createAddressFilter,
+  selectDeviceAddress,
+  normalizeIp,
+  deviceUrl
+};
@@ -1,27 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { readUpdateState, writeUpdateState, spawnReplacement, restorePreviousExecutable, recordUpdateStart } = require('./update-state');
+
+// When running as pkg executable, use process.execPath directory
+// When running as script, use __dirname
+const appDir = process.pkg ? path.dirname(process.execPath) : __dirname;
+
+const PROXY_VERSION = require('./package.json').version;
+
+// Self-update: state file next to config.json survives the restart into the new executable.
+// A freshly installed version counts its start before anything else can fail (loading the modules below,
+// validating config.json), so a version that never gets to register is rolled back.
+const UPDATE_STATE_PATH = path.join(appDir, 'update-state.json');
+const startingUpdate = process.pkg ? recordUpdateStart(UPDATE_STATE_PATH, PROXY_VERSION, appDir) : null;
+
 const WebSocket = require('ws');
 const axios = require('axios');
 const os = require('os');
 const { Bonjour } = require('bonjour-service');
-const fs = require('fs');
-const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const net = require('net');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { createLogger, createLogBuffer, LEVELS } = require('./logger');
+const { createDeviceSessions } = require('./device-sessions');
+const { parseCidr, expandCidr, probeDevice, scanHosts } = require('./device-scan');
+const { parseSubnet, getInterfaceAddresses, createAddressFilter, selectDeviceAddress, normalizeIp, deviceUrl } = require('./network');
 
 const execAsync = promisify(exec);
 
 // Load configuration from external config.json file
 let config;
 try {
-  // When running as pkg executable, use process.execPath directory
-  // When running as script, use __dirname
-  const appDir = process.pkg ? path.dirname(process.execPath) : __dirname;
   const configPath = path.join(appDir, 'config.json');
   const configData = fs.readFileSync(configPath, 'utf8');
   config = JSON.parse(configData);
 
   // Set default values
   if (config.validateCertificate === undefined) {
-    config.validateCertificate = false;
+    config.validateCertificate = true;
   }
   if (config.location === undefined) {
     config.location = '';
@@ -29,17 +47,126 @@ try {
   if (config.public === undefined) {
     config.public = false;
   }
+  if (config.logLevel === undefined) {
+    config.logLevel = 'info';
+  }
+  if (config.logBufferSize === undefined) {
+    config.logBufferSize = 1000;
+  }
+  if (config.autoUpdate === undefined) {
+    config.autoUpdate = true;
+  }
+  if (config.deviceSessionMinutes === undefined) {
+    config.deviceSessionMinutes = 240;
+  }
+  if (config.interfaces === undefined) {
+    config.interfaces = [];
+  }
+  if (config.subnets === undefined) {
+    config.subnets = [];
+  }
+  if (config.allowedSubnets === undefined) {
+    config.allowedSubnets = [];
+  }
+  if (config.allowedPorts === undefined) {
+    config.allowedPorts = [80];
+  }
+  if (config.staticDevices === undefined) {
+    config.staticDevices = [];
+  }
+  if (config.scanSubnets === undefined) {
+    config.scanSubnets = [];
+  }
+  if (config.scanPort === undefined) {
+    config.scanPort = 80;
+  }
+  if (config.scanIntervalSeconds === undefined) {
+    config.scanIntervalSeconds = 300;
+  }
 } catch (error) {
   console.error('Failed to load config.json:', error.message);
   console.error('Please ensure config.json exists in the same directory as the executable.');
   process.exit(1);
 }
 
+function isValidPort(port) {
+  return Number.isInteger(port) && port >= 1 && port <= 65535;
+}
+
 // Validate configuration
 if (!config.serviceUrl || !config.churchToolsUrl || !config.secret || !config.uuid) {
   console.error('Invalid configuration! Missing required fields: serviceUrl, churchToolsUrl, secret, or uuid');
   process.exit(1);
 }
+if (!LEVELS[config.logLevel]) {
+  console.error(`Invalid configuration! logLevel must be one of: ${Object.keys(LEVELS).join(', ')}`);
+  process.exit(1);
+}
+if (!Number.isInteger(config.logBufferSize) || config.logBufferSize < 1) {
+  console.error('Invalid configuration! logBufferSize must be a positive integer');
+  process.exit(1);
+}
+if (typeof config.deviceSessionMinutes !== 'number' || config.deviceSessionMinutes < 0) {
+  console.error('Invalid configuration! deviceSessionMinutes must be a number of minutes (0 keeps sessions until stopped)');
+  process.exit(1);
+}
+if (!Array.isArray(config.interfaces) || !config.interfaces.every(name => typeof name === 'string' && name !== '')) {
+  console.error('Invalid configuration! interfaces must be a list of network interface names (e.g. "en0")');
+  process.exit(1);
+}
+if (!Array.isArray(config.subnets) || !config.subnets.every(cidr => !parseSubnet(cidr).error)) {
+  console.error('Invalid configuration! subnets must be a list of IPv4 or IPv6 CIDR ranges (e.g. "192.168.1.0/24", "fd00:1::/64")');
+  process.exit(1);
+}
+if (!Array.isArray(config.allowedSubnets) || !config.allowedSubnets.every(cidr => !parseSubnet(cidr).error)) {
+  console.error('Invalid configuration! allowedSubnets must be a list of IPv4 or IPv6 CIDR ranges');
+  process.exit(1);
+}
+if (!Array.isArray(config.allowedPorts) || !config.allowedPorts.every(isValidPort)) {
+  console.error('Invalid configuration! allowedPorts must be a list of port numbers');
+  process.exit(1);
+}
+if (!Array.isArray(config.staticDevices) || !config.staticDevices.every(device => device && net.isIP(device.ip) &&
+    (device.port === undefined || isValidPort(device.port)) &&
+    (device.name === undefined || typeof device.name === 'string') &&
+    (device.deviceId === undefined || (typeof device.deviceId === 'string' && device.deviceId !== '')) &&
+    (device.role === undefined || device.role === 'server' || device.role === 'client'))) {
+  console.error('Invalid configuration! staticDevices must be a list of { ip, port, name, deviceId, role } with an IPv4 or IPv6 address');
+  process.exit(1);
+}
+if (!Array.isArray(config.scanSubnets)) {
+  console.error('Invalid configuration! scanSubnets must be a list of CIDR ranges (e.g. "192.168.1.0/24")');
+  process.exit(1);
+}
+for (const cidr of config.scanSubnets) {
+  const { error } = parseCidr(cidr);
+  if (error) {
+    console.error(`Invalid configuration! ${error}`);
+    process.exit(1);
+  }
+}
+if (!isValidPort(config.scanPort)) {
+  console.error('Invalid configuration! scanPort must be a port number');
+  process.exit(1);
+}
+if (!Number.isInteger(config.scanIntervalSeconds) || config.scanIntervalSeconds < 30) {
+  console.error('Invalid configuration! scanIntervalSeconds must be an integer of at least 30');
+  process.exit(1);
+}
+if (config.certificateFingerprints !== undefined && (!Array.isArray(config.certificateFingerprints) || config.certificateFingerprints.length === 0 ||
+    !config.certificateFingerprints.every(fingerprint => /^([0-9a-f]{2}:){31}[0-9a-f]{2}$/i.test(fingerprint)))) {
+  console.error('Invalid configuration! certificateFingerprints must be a list of SHA-256 fingerprints (AB:CD:...)');
+  process.exit(1);
+}
+if (config.ca !== undefined && (typeof config.ca !== 'string' || !config.ca.includes('-----BEGIN CERTIFICATE-----'))) {
+  console.error('Invalid configuration! ca must contain PEM certificates');
+  process.exit(1);
+}
+
+// Structured JSON logger for the running proxy (CLI commands below keep plain console output).
+// Recent entries are kept in memory so the service can fetch them remotely.
+const logBuffer = createLogBuffer(config.logBufferSize);
+const logger = createLogger(config.logLevel, { uuid: config.uuid }, [logBuffer.add]);
 
 // Service installation functions
 async function installService() {
@@ -274,11 +401,40 @@ After installation, the proxy will start automatically on system boot.
   process.exit(0);
 }
 
-// Initialize Bonjour for device discovery
-const bonjour = new Bonjour();
+// WebSocket protocol versions this proxy speaks, announced in register.
+// Services from before negotiation answer 'registered' without a feature set; they are treated as version 1.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+const LEGACY_CAPABILITIES = ['discover', 'api-request'];
+// Capabilities the service may use with this proxy (see README, WebSocket Protocol)
+function getCapabilities() {
+  const capabilities = ['discover', 'api-request', 'binary-body', 'device-events', 'broadcast', 'diagnostics', 'logs', 'log-stream', 'cancel', 'device-sessions'];
+  if (config.autoUpdate && process.pkg) {
+    capabilities.push('self-update');
+  }
+  return capabilities;
+}
+
+const UPDATE_CONFIRM_TIMEOUT_MS = 60000; // Roll back if the service doesn't confirm registration in time
+let pendingUpdate = null; // Update state while the new version still has to register
+let updateConfirmTimer = null;
+let isUpdating = false;
+
+// Bonjour browsers for device discovery: one per interface in config.interfaces, or one ('*') for all interfaces
+const bonjourBrowsers = new Map(); // Map<interface name, { address, bonjour, browser }>
+let interfaceCheckTimer = null;
+const INTERFACE_CHECK_INTERVAL_MS = 30000; // Follow address changes of the selected interfaces
+// Device addresses outside the selected interfaces' networks and config.subnets are ignored
+const isAllowedAddress = createAddressFilter(config.interfaces, config.subnets);
+// Targets besides discovered devices the service may send requests to (config allowedSubnets on allowedPorts)
+const isAllowedExtraTarget = config.allowedSubnets.length > 0 ? createAddressFilter([], config.allowedSubnets) : () => false;
 let ws = null;
 let reconnectTimer = null;
 let isConnected = false;
+// Set when the service reports that another proxy took over our UUID
+let isSuperseded = false;
+// Protocol version and capabilities negotiated with the service (null until registered)
+let negotiatedProtocol = null;
 
 // Watchdog timer for connection health monitoring
 let lastPingTime = null;
@@ -288,25 +444,36 @@ const PING_TIMEOUT_MS = 70000; // 70 seconds
 // Device registry for continuous monitoring
 const deviceRegistry = new Map(); // Map<deviceId, device>
 const deviceRemovalTimers = new Map(); // Map<deviceId, timeoutId>
-let browser = null;
-
-// Automatic request state tracking (auth retry and ping keepalive)
-// Map<stateKey, { deviceId, authToken, deviceIp, devicePort, state, intervalTimer, timeoutTimer, startTime }>
-const autoRequestStates = new Map();
-const AUTO_REQUEST_INTERVAL_MS = 2000; // 2 seconds
-const AUTO_REQUEST_DURATION_MS = 60000; // 60 seconds (1 minute)
-
-// Get local IP address
+const deviceLastSeen = new Map(); // Map<deviceId, timestamp of last Bonjour announcement or successful probe>
+
+// Network scan for static devices and subnets (config staticDevices / scanSubnets)
+let scanTimer = null;
+let scanRunning = false;
+let lastScanAt = null;
+
+// Live log streams requested by the service: Map<streamId, unsubscribe function>
+const logStreams = new Map();
+
+// Device requests the service may still cancel: Map<requestId, AbortController>
+const activeRequests = new Map();
+// Device request timeout unless the service sends timeoutMs (caller's X-Request-Timeout)
+const DEVICE_REQUEST_TIMEOUT_MS = 30000;
+
+// OnSong sessions kept alive after an auth request (or a session-start from the service).
+// Authorized device tokens are saved next to config.json and resumed after a restart.
+const DEVICE_SESSIONS_PATH = path.join(appDir, 'device-sessions.json');
+const deviceSessions = createDeviceSessions({
+  resolveDevice: getDeviceAddress,
+  defaultDurationMs: config.deviceSessionMinutes * 60 * 1000,
+  statePath: DEVICE_SESSIONS_PATH,
+  logger: logger
+});
+
+// Get local IP address on the selected interfaces and subnets (IPv4 preferred)
 function getLocalIpAddress() {
-  const interfaces = os.networkInterfaces();
-  for (const name of Object.keys(interfaces)) {
-    for (const iface of interfaces[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) {
-        return iface.address;
-      }
-    }
-  }
-  return 'localhost';
+  const candidates = getInterfaceAddresses(config.interfaces).filter(iface => isAllowedAddress(iface.address));
+  const address = selectDeviceAddress(candidates.map(iface => iface.address));
+  return address || 'localhost';
 }
 
 // Generate unique device ID
@@ -318,15 +485,66 @@ function getDeviceId(service) {
   //return `${service.name}-${service.host}-${service.port}`;
 }
 
-// Start continuous Bonjour monitoring
+// Start continuous Bonjour monitoring (and the network scan, if static devices or subnets are configured)
 function startDeviceMonitoring() {
-  if (browser) {
-    console.log('Device monitoring already running');
+  if (bonjourBrowsers.size > 0) {
+    logger.debug('Device monitoring already running');
+    return;
+  }
+
+  logger.info('Starting continuous device monitoring', { interfaces: config.interfaces, subnets: config.subnets });
+  updateBonjourBrowsers();
+  if (config.interfaces.length > 0) {
+    interfaceCheckTimer = setInterval(updateBonjourBrowsers, INTERFACE_CHECK_INTERVAL_MS);
+  }
+
+  startNetworkScan();
+
+  logger.info('Device monitoring started');
+}
+
+// Start a browser for each selected interface with an IPv4 address (mDNS runs over IPv4, devices may
+// still announce IPv6 addresses), and restart browsers whose interface address changed, e.g. after a new DHCP lease
+function updateBonjourBrowsers() {
+  if (config.interfaces.length === 0) {
+    if (!bonjourBrowsers.has('*')) {
+      startBonjourBrowser('*', null);
+    }
     return;
   }
 
-  console.log('Starting continuous device monitoring...');
-  browser = bonjour.find({});
+  // Devices on a new network of the interfaces are accepted from now on
+  isAllowedAddress.refresh();
+
+  const addresses = new Map();
+  getInterfaceAddresses(config.interfaces).forEach(iface => {
+    if (iface.family === 'IPv4' && !addresses.has(iface.name)) {
+      addresses.set(iface.name, iface.address);
+    }
+  });
+
+  for (const name of config.interfaces) {
+    const current = bonjourBrowsers.get(name);
+    const address = addresses.get(name) || null;
+    if (current && current.address === address) {
+      continue;
+    }
+
+    stopBonjourBrowser(name);
+    if (address) {
+      startBonjourBrowser(name, address);
+    } else {
+      // Remember the missing interface so the warning is logged once
+      logger.warn('Network interface has no IPv4 address, not discovering devices on it', { interface: name });
+      bonjourBrowsers.set(name, { address: null, bonjour: null, browser: null });
+    }
+  }
+}
+
+function startBonjourBrowser(name, address) {
+  // Bound to all addresses but sending and joining the multicast group on the selected interface
+  const bonjour = address ? new Bonjour({ interface: address, bind: '0.0.0.0' }) : new Bonjour();
+  const browser = bonjour.find({});
 
   browser.on('up', (service) => {
     // Filter: Only include devices with role=server or role=client in TXT record
@@ -338,78 +556,294 @@ function startDeviceMonitoring() {
         return;
     }
 
-    const deviceId = getDeviceId(service);
-
-    // Cancel removal timer if device came back online
-    if (deviceRemovalTimers.has(deviceId)) {
-      console.log(`Device came back online: ${service.name} (canceling removal)`);
-      clearTimeout(deviceRemovalTimers.get(deviceId));
-      deviceRemovalTimers.delete(deviceId);
+    // Only keep addresses on the selected networks; devices seen only elsewhere are ignored
+    const addresses = (service.addresses || []).filter(isAllowedAddress);
+    if (addresses.length === 0 && service.addresses && service.addresses.length > 0) {
+      logger.debug('Ignoring device outside the selected interfaces and subnets', { deviceId: txt.deviceid, addresses: service.addresses });
+      return;
     }
 
-    // Add or update device in registry
-    const device = {
+    handleDeviceUp(getDeviceId(service), {
       name: service.name,
       type: service.type,
       host: service.host,
-      addresses: service.addresses || [],
+      addresses: addresses,
       port: service.port,
-      txt: txt
-    };
-
-    const isNew = !deviceRegistry.has(deviceId);
-    // check if there is an IPV4 address, sometimes bonjour reports no addresses when device comes back
-    const ipv4Address = device.addresses.find(addr => !addr.includes(':'));
-    if (isNew || ipv4Address) {
-        deviceRegistry.set(deviceId, device);
-        const action = isNew ? 'discovered' : 'updated';
-        console.log(`Device ${action}: ${device.name} at ${device.addresses.join(', ')}:${device.port}`);
-        console.log(`Total devices: ${deviceRegistry.size}`);
-    }
+      txt: txt,
+      source: 'bonjour'
+    });
   });
 
   browser.on('down', (service) => {
-    const deviceId = getDeviceId(service);
+    handleDeviceDown(getDeviceId(service));
+  });
 
-    if (!deviceRegistry.has(deviceId)) {
-      return;
-    }
+  bonjourBrowsers.set(name, { address, bonjour, browser });
+  logger.info('Bonjour browser started', { interface: name === '*' ? 'all' : name, address });
+}
+
+function stopBonjourBrowser(name) {
+  const entry = bonjourBrowsers.get(name);
+  if (!entry) {
+    return;
+  }
+
+  if (entry.browser) {
+    entry.browser.stop();
+    entry.bonjour.destroy();
+    logger.info('Bonjour browser stopped', { interface: name === '*' ? 'all' : name, address: entry.address });
+  }
+  bonjourBrowsers.delete(name);
+}
+
+// Add or update a device in the registry and report changes.
+// device.source tells how it was found: 'bonjour', 'static' (config staticDevices) or 'scan' (config scanSubnets).
+function handleDeviceUp(deviceId, device) {
+  const wasDown = deviceRemovalTimers.has(deviceId);
+  deviceLastSeen.set(deviceId, Date.now());
+
+  // Cancel removal timer if device came back online
+  if (wasDown) {
+    logger.info('Device came back online, canceling removal', { deviceId, name: device.name });
+    clearTimeout(deviceRemovalTimers.get(deviceId));
+    deviceRemovalTimers.delete(deviceId);
+  }
 
-    console.log(`Device went down: ${service.name} (will remove in 10 minutes if not back online)`);
+  const isNew = !deviceRegistry.has(deviceId);
+  // check if there is a usable address, sometimes bonjour reports no addresses when device comes back
+  const usableAddress = selectDeviceAddress(device.addresses);
+  if (isNew || usableAddress) {
+      const previous = deviceRegistry.get(deviceId);
+      deviceRegistry.set(deviceId, device);
+      const action = isNew ? 'discovered' : 'updated';
+      logger.info(`Device ${action}`, {
+        deviceId,
+        name: device.name,
+        addresses: device.addresses,
+        port: device.port,
+        source: device.source,
+        totalDevices: deviceRegistry.size
+      });
 
-    // Set timer to remove device after 10 seconds
-    const timerId = setTimeout(() => {
-      if (deviceRegistry.has(deviceId)) {
-        const device = deviceRegistry.get(deviceId);
-        deviceRegistry.delete(deviceId);
-        deviceRemovalTimers.delete(deviceId);
-        console.log(`Device removed: ${device.name}`);
-        console.log(`Total devices: ${deviceRegistry.size}`);
+      // Bonjour re-announces devices regularly, only report actual changes
+      if (isNew || wasDown) {
+        sendDeviceEvent('device-up', deviceId, device);
+      } else if (JSON.stringify(previous) !== JSON.stringify(device)) {
+        sendDeviceEvent('device-updated', deviceId, device);
       }
-    }, 1000 * 600); // 10 minutes
+  } else if (wasDown) {
+      sendDeviceEvent('device-up', deviceId, deviceRegistry.get(deviceId));
+  }
 
-    deviceRemovalTimers.set(deviceId, timerId);
+  if (device.source === 'bonjour') {
+    removeScannedDuplicates(deviceId, device.addresses);
+  }
+
+  if (isNew || wasDown) {
+    deviceSessions.deviceUp(deviceId);
+  }
+}
+
+// Mark a device as down; it is removed after 10 minutes unless it comes back.
+// Static devices stay listed (offline) until they answer again.
+function handleDeviceDown(deviceId) {
+  if (!deviceRegistry.has(deviceId)) {
+    return;
+  }
+
+  if (deviceRemovalTimers.has(deviceId)) {
+    // Already counting down
+    return;
+  }
+
+  const device = deviceRegistry.get(deviceId);
+  logger.info('Device went down, will remove in 10 minutes if not back online', { deviceId, name: device.name, source: device.source });
+  sendDeviceEvent('device-down', deviceId, device);
+  deviceSessions.deviceDown(deviceId);
+
+  // Set timer to remove device after 10 minutes
+  const timerId = setTimeout(() => {
+    const current = deviceRegistry.get(deviceId);
+    if (current && current.source !== 'static') {
+      deviceRegistry.delete(deviceId);
+      deviceRemovalTimers.delete(deviceId);
+      deviceLastSeen.delete(deviceId);
+      logger.info('Device removed', { deviceId, name: current.name, totalDevices: deviceRegistry.size });
+      sendDeviceEvent('device-down', deviceId, current, { removed: true });
+    }
+  }, 1000 * 600); // 10 minutes
+
+  deviceRemovalTimers.set(deviceId, timerId);
+}
+
+// Bonjour found a device the subnet scan had already listed under its address: keep only the Bonjour entry
+function removeScannedDuplicates(deviceId, addresses) {
+  for (const [id, device] of deviceRegistry.entries()) {
+    if (id === deviceId || device.source !== 'scan' || !device.addresses.some(addr => addresses.includes(addr))) {
+      continue;
+    }
+
+    clearTimeout(deviceRemovalTimers.get(id));
+    deviceRemovalTimers.delete(id);
+    deviceRegistry.delete(id);
+    deviceLastSeen.delete(id);
+    logger.info('Scanned device found by Bonjour, removing duplicate', { deviceId: id, bonjourDeviceId: deviceId });
+    sendDeviceEvent('device-down', id, device, { removed: true });
+  }
+}
+
+// Probe static devices and scan subnets periodically, for networks where Bonjour (multicast) is blocked
+function startNetworkScan() {
+  if (scanTimer || (config.staticDevices.length === 0 && config.scanSubnets.length === 0)) {
+    return;
+  }
+
+  logger.info('Starting network scan', {
+    staticDevices: config.staticDevices.length,
+    scanSubnets: config.scanSubnets,
+    intervalSeconds: config.scanIntervalSeconds
   });
+  scanTimer = setInterval(scanNetwork, config.scanIntervalSeconds * 1000);
+  scanNetwork();
+}
 
-  console.log('Device monitoring started');
+function stopNetworkScan() {
+  if (scanTimer) {
+    clearInterval(scanTimer);
+    scanTimer = null;
+  }
 }
 
-// Stop continuous Bonjour monitoring
+async function scanNetwork() {
+  if (scanRunning) {
+    return;
+  }
+
+  scanRunning = true;
+  try {
+    await Promise.all(config.staticDevices.map(probeStaticDevice));
+    await scanSubnets();
+    lastScanAt = Date.now();
+  } catch (error) {
+    logger.error('Network scan failed', { error });
+  } finally {
+    scanRunning = false;
+  }
+}
+
+// A static device is up while anything answers on its port (OnSong may answer the probe with an error).
+// While Bonjour also lists the device, Bonjour's entry is used.
+async function probeStaticDevice(entry) {
+  const deviceId = entry.deviceId || `static-${entry.ip}`;
+  const port = entry.port || 80;
+  const existing = deviceRegistry.get(deviceId);
+  if (existing && existing.source === 'bonjour') {
+    return;
+  }
+
+  const { reachable } = await probeDevice(entry.ip, port);
+  if (!scanTimer) {
+    return;
+  }
+
+  if (reachable) {
+    handleDeviceUp(deviceId, {
+      name: entry.name || entry.ip,
+      type: 'http',
+      host: entry.ip,
+      addresses: [entry.ip],
+      port: port,
+      txt: { deviceid: deviceId, role: entry.role },
+      source: 'static'
+    });
+  } else {
+    handleDeviceDown(deviceId);
+  }
+}
+
+// Probe the configured subnets for OnSong devices not known otherwise; they are listed as "scan-<ip>"
+async function scanSubnets() {
+  if (config.scanSubnets.length === 0) {
+    return;
+  }
+
+  const knownAddresses = new Set();
+  deviceRegistry.forEach(device => {
+    if (device.source !== 'scan') {
+      device.addresses.forEach(addr => knownAddresses.add(addr));
+    }
+  });
+  const hosts = Array.from(new Set(config.scanSubnets.flatMap(expandCidr))).filter(ip => !knownAddresses.has(ip));
+
+  const startTime = Date.now();
+  const found = new Set(await scanHosts(hosts, config.scanPort));
+  if (!scanTimer) {
+    return;
+  }
+  logger.debug('Subnet scan finished', { hosts: hosts.length, found: found.size, durationMs: Date.now() - startTime });
+
+  found.forEach(ip => {
+    const deviceId = `scan-${ip}`;
+    handleDeviceUp(deviceId, {
+      name: `OnSong at ${ip}`,
+      type: 'http',
+      host: ip,
+      addresses: [ip],
+      port: config.scanPort,
+      txt: { deviceid: deviceId },
+      source: 'scan'
+    });
+  });
+
+  for (const [deviceId, device] of deviceRegistry.entries()) {
+    if (device.source === 'scan' && !found.has(device.addresses[0])) {
+      handleDeviceDown(deviceId);
+    }
+  }
+}
+
+// Stop continuous Bonjour monitoring and the network scan
 function stopDeviceMonitoring() {
-  if (browser) {
-    browser.stop();
-    browser = null;
-    console.log('Device monitoring stopped');
+  if (bonjourBrowsers.size > 0) {
+    Array.from(bonjourBrowsers.keys()).forEach(stopBonjourBrowser);
+    logger.info('Device monitoring stopped');
+  }
+  if (interfaceCheckTimer) {
+    clearInterval(interfaceCheckTimer);
+    interfaceCheckTimer = null;
   }
+  stopNetworkScan();
 
   // Clear all removal timers
   deviceRemovalTimers.forEach(timerId => clearTimeout(timerId));
   deviceRemovalTimers.clear();
 }
 
-// Get current list of devices
+// Get current list of devices (devices that went down stay listed with online: false until removed)
 function getDiscoveredDevices() {
-  return Array.from(deviceRegistry.values());
+  return Array.from(deviceRegistry.entries()).map(([deviceId, device]) => ({
+    ...device,
+    online: !deviceRemovalTimers.has(deviceId)
+  }));
+}
+
+// Whether the service negotiated a capability for this connection
+function hasCapability(capability) {
+  return !!negotiatedProtocol && negotiatedProtocol.capabilities.includes(capability);
+}
+
+// Push a device presence change (device-up, device-updated, device-down) to the service
+function sendDeviceEvent(type, deviceId, device, extra = {}) {
+  if (!ws || ws.readyState !== WebSocket.OPEN || !hasCapability('device-events')) {
+    return;
+  }
+
+  ws.send(JSON.stringify({
+    type: type,
+    deviceId: deviceId,
+    device: device,
+    ...extra
+  }));
 }
 
 // Start watchdog timer to monitor connection health
@@ -426,8 +860,9 @@ function startWatchdog() {
     const timeSinceLastPing = Date.now() - lastPingTime;
 
     if (timeSinceLastPing > PING_TIMEOUT_MS) {
-      console.error(`Connection watchdog triggered: No ping received for ${Math.floor(timeSinceLastPing / 1000)} seconds`);
-      console.log('Tearing down connection and reconnecting...');
+      logger.error('Connection watchdog triggered, tearing down connection and reconnecting', {
+        secondsSinceLastPing: Math.floor(timeSinceLastPing / 1000)
+      });
 
       // Stop watchdog
       stopWatchdog();
@@ -447,7 +882,7 @@ function startWatchdog() {
     }
   }, 10000); // Check every 10 seconds
 
-  console.log('Connection watchdog started (70 second timeout)');
+  logger.debug('Connection watchdog started', { timeoutMs: PING_TIMEOUT_MS });
 }
 
 // Stop watchdog timer
@@ -464,189 +899,474 @@ function resetWatchdog() {
   lastPingTime = Date.now();
 }
 
-// Generate state key for auto-request tracking
-function getAutoRequestStateKey(deviceId, authToken) {
-  return `${deviceId}:${authToken}`;
+// Check whether a content type header denotes JSON
+function isJsonContentType(contentType) {
+  return /^application\/([\w.+-]+\+)?json\b/i.test(contentType || '');
+}
+
+// Encode a device response body for the WebSocket protocol.
+// JSON is sent parsed (as older services expect), everything else base64-encoded byte for byte.
+// Services that didn't negotiate binary-body would pass base64 on as the body, they get text as before.
+function encodeResponseBody(buffer, contentType) {
+  if (isJsonContentType(contentType) && buffer.length > 0) {
+    try {
+      return { data: JSON.parse(buffer.toString('utf8')) };
+    } catch (error) {
+      // Not valid JSON despite the content type - pass the raw bytes through
+    }
+  }
+  if (!hasCapability('binary-body')) {
+    return { data: buffer.toString('utf8') };
+  }
+  return { data: buffer.toString('base64'), dataEncoding: 'base64' };
 }
 
-// Clean up auto-request timers and state
-function cleanupAutoRequests(stateKey) {
-  const state = autoRequestStates.get(stateKey);
-  if (!state) return;
+// Make HTTP request to local OnSong device.
+// options.timeoutMs overrides the default device timeout, options.signal aborts the request (service 'cancel').
+async function makeDeviceRequest(targetIp, targetPort, method, path, headers, body, bodyEncoding, contentType, log = logger, options = {}) {
+  const startTime = Date.now();
+  try {
+    const url = deviceUrl(targetIp, targetPort, path);
+    log.debug('Making device request', { method, url });
+
+    if (bodyEncoding === 'base64') {
+      // Raw body from the service: forward the original bytes and content type
+      headers = {
+        'content-type': contentType || 'application/octet-stream'
+      };
+      body = Buffer.from(body || '', 'base64');
+    } else {
+      headers = {
+          'content-type': 'application/json'
+      };
+      if (path.endsWith('/content')) {
+          headers['content-type'] = 'application/text';
+          body = body.content;
+      }
+    }
 
-  if (state.intervalTimer) {
-    clearInterval(state.intervalTimer);
+    const response = await axios({
+      method: method,
+      url: url,
+      headers: headers,
+      data: body,
+      responseType: 'arraybuffer',
+      timeout: options.timeoutMs || DEVICE_REQUEST_TIMEOUT_MS,
+      signal: options.signal,
+      maxRedirects: 0, // A redirect could lead past the target policy
+      validateStatus: () => true // Accept any status code
+    });
+
+    log.info('Device request completed', { method, url, statusCode: response.status, durationMs: Date.now() - startTime });
+
+    return {
+      success: true,
+      statusCode: response.status,
+      headers: response.headers,
+      ...encodeResponseBody(Buffer.from(response.data), response.headers['content-type'])
+    };
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      log.info('Device request cancelled by service', { method, targetIp, targetPort, path, durationMs: Date.now() - startTime });
+      return {
+        success: false,
+        cancelled: true,
+        error: 'Request cancelled'
+      };
+    }
+
+    log.error('Device request error', { method, targetIp, targetPort, path, durationMs: Date.now() - startTime, error });
+    return {
+      success: false,
+      // Lets the service tell a slow device (504) from an unreachable one (502)
+      timedOut: error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT',
+      error: error.message
+    };
   }
-  if (state.timeoutTimer) {
-    clearTimeout(state.timeoutTimer);
+}
+
+// Target policy for requests from the service (SSRF guard): without it, anyone who knows the UUID of a
+// public proxy could reach any host on the local network. Only discovered devices on their port, and
+// addresses in config.allowedSubnets on config.allowedPorts, are allowed. Devices found by the subnet
+// scan are not trusted on their own (any host answering JSON looks like OnSong to the probe), so they
+// need to be inside allowedSubnets too. Devices that went offline (pending removal) are no longer allowed.
+// Returns null if the target is allowed, otherwise why it is not.
+function checkTargetAllowed(targetIp, targetPort) {
+  if (!net.isIP(targetIp)) {
+    return `Target ${targetIp} is not an IP address`;
   }
 
-  autoRequestStates.delete(stateKey);
-  console.log(`Cleaned up auto-requests for ${stateKey}`);
+  const ip = targetIp.toLowerCase();
+  const port = Number(targetPort);
+  for (const [deviceId, device] of deviceRegistry.entries()) {
+    if (deviceRemovalTimers.has(deviceId) || device.source === 'scan') {
+      continue;
+    }
+    if (device.port === port && device.addresses.some(addr => addr.toLowerCase() === ip)) {
+      return null;
+    }
+  }
+  if (isAllowedExtraTarget(targetIp) && config.allowedPorts.includes(port)) {
+    return null;
+  }
+  return `Target ${targetIp} port ${port} is not an online OnSong device or an allowed address`;
 }
 
-// Start automatic auth retry requests
-function startAuthRetry(deviceId, authToken, deviceIp, devicePort, method, body) {
-  const stateKey = getAutoRequestStateKey(deviceId, authToken);
+// Find the deviceId of a registered device by one of its addresses
+function findDeviceIdByIp(targetIp) {
+  for (const [id, device] of deviceRegistry.entries()) {
+    if (device.addresses.includes(targetIp)) {
+      return id;
+    }
+  }
+  return null;
+}
 
-  // Clean up any existing state for this device/token
-  cleanupAutoRequests(stateKey);
+// Start a device session after an auth request to a device: keepalive if it succeeded,
+// otherwise keep retrying the auth with the original method and body (the user may still accept it on the device)
+function startSessionAfterAuth(deviceId, targetIp, method, path, body, result, log = logger) {
+  const authMatch = path.match(/^\/api\/([^\/]+)\/auth$/);
+  if (!authMatch) {
+    return;
+  }
 
-  console.log(`Starting auth retry for device ${deviceId} (${deviceIp}:${devicePort})`);
+  if (!deviceId) {
+    log.info('Could not find deviceId for IP, not starting a device session', { targetIp });
+    return;
+  }
 
-  const state = {
-    deviceId: deviceId,
-    authToken: authToken,
-    deviceIp: deviceIp,
-    devicePort: devicePort,
-    method: method,
-    body: body,
-    state: 'auth-retry',
-    intervalTimer: null,
-    timeoutTimer: null,
-    startTime: Date.now()
-  };
+  if (!result.success || result.statusCode >= 400) {
+    log.info('Auth request failed, starting device session with auth retry', { deviceId, statusCode: result.statusCode });
+    deviceSessions.start(deviceId, { authToken: authMatch[1], method, body });
+  } else if (result.statusCode === 200) {
+    log.info('Auth request succeeded, starting device session', { deviceId });
+    deviceSessions.start(deviceId, { authToken: authMatch[1], method, body, authorized: true });
+  }
+}
 
-  // Make auth request every 2 seconds
-  state.intervalTimer = setInterval(async () => {
-    try {
-      const url = `http://${deviceIp}:${devicePort}/api/${authToken}/auth`;
-      console.log(`Auto auth retry: ${method} ${url}`);
-
-      const response = await axios({
-        method: method,
-        url: url,
-        data: body,
-        headers: {
-          'content-type': 'application/json'
-        },
-        timeout: 5000,
-        validateStatus: () => true
-      });
+// Current address of an online device for its session (null while the device is offline,
+// or if the target policy doesn't allow it, e.g. an untrusted scanned device)
+function getDeviceAddress(deviceId) {
+  const device = deviceRegistry.get(deviceId);
+  if (!device || deviceRemovalTimers.has(deviceId)) {
+    return null;
+  }
 
-      if (response.status === 200) {
-        console.log(`Auth successful for device ${deviceId}, switching to ping keepalive`);
+  const address = selectDeviceAddress(device.addresses);
+  return address && !checkTargetAllowed(address, device.port) ? { ip: address, port: device.port } : null;
+}
 
-        // Clean up auth retry
-        if (state.intervalTimer) {
-          clearInterval(state.intervalTimer);
-        }
-        if (state.timeoutTimer) {
-          clearTimeout(state.timeoutTimer);
-        }
+// Send the same request to every online device matching the filter ({ role, name }) in parallel.
+// Returns one result per device with status code or error and duration.
+async function broadcastDeviceRequest(filter, method, path, headers, body, bodyEncoding, contentType, log = logger, options = {}) {
+  const targets = getDiscoveredDevices().filter(device => {
+    if (!device.online) {
+      return false;
+    }
+    // Scanned devices outside allowedSubnets are not contacted
+    const address = selectDeviceAddress(device.addresses);
+    if (address && checkTargetAllowed(address, device.port)) {
+      return false;
+    }
+    if (filter.role && device.txt.role !== filter.role) {
+      return false;
+    }
+    if (filter.name && !device.name.toLowerCase().includes(String(filter.name).toLowerCase())) {
+      return false;
+    }
+    return true;
+  });
 
-        // Switch to ping keepalive
-        startPingKeepalive(deviceId, authToken, deviceIp, devicePort);
-      }
-    } catch (error) {
-      console.log(`Auth retry failed for device ${deviceId}: ${error.message}`);
+  log.info('Broadcasting request', { method, path, devices: targets.length });
+
+  return Promise.all(targets.map(async (device) => {
+    const deviceId = device.txt.deviceid;
+    const targetIp = selectDeviceAddress(device.addresses);
+    const startTime = Date.now();
+
+    if (!targetIp) {
+      return {
+        deviceId: deviceId,
+        name: device.name,
+        success: false,
+        error: 'No usable address known for device',
+        durationMs: 0
+      };
     }
-  }, AUTO_REQUEST_INTERVAL_MS);
 
-  // Stop after 60 seconds
-  state.timeoutTimer = setTimeout(() => {
-    console.log(`Auth retry timeout for device ${deviceId} (60 seconds elapsed)`);
-    cleanupAutoRequests(stateKey);
-  }, AUTO_REQUEST_DURATION_MS);
+    const deviceLog = log.child({ deviceId });
+    const result = await makeDeviceRequest(targetIp, device.port, method, path, headers, body, bodyEncoding, contentType, deviceLog, options);
+    if (!result.cancelled) {
+      startSessionAfterAuth(deviceId, targetIp, method, path, body, result, deviceLog);
+    }
 
-  autoRequestStates.set(stateKey, state);
+    return {
+      deviceId: deviceId,
+      name: device.name,
+      address: targetIp,
+      port: device.port,
+      durationMs: Date.now() - startTime,
+      ...result
+    };
+  }));
 }
 
-// Start automatic ping keepalive requests
-function startPingKeepalive(deviceId, authToken, deviceIp, devicePort) {
-  const stateKey = getAutoRequestStateKey(deviceId, authToken);
+// Start forwarding new log entries at or above minLevel to the service
+function startLogStream(streamId, level) {
+  stopLogStream(streamId);
 
-  // Clean up any existing state for this device/token
-  cleanupAutoRequests(stateKey);
+  const minLevel = LEVELS[level] || LEVELS.debug;
+  const unsubscribe = logBuffer.subscribe((entry) => {
+    if (LEVELS[entry.level] < minLevel || !ws || ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    // Don't log from here - every log line would produce another entry to forward
+    ws.send(JSON.stringify({ type: 'log-entry', streamId: streamId, entry: entry }));
+  });
 
-  console.log(`Starting ping keepalive for device ${deviceId} (${deviceIp}:${devicePort})`);
+  logStreams.set(streamId, unsubscribe);
+}
 
-  const state = {
-    deviceId: deviceId,
-    authToken: authToken,
-    deviceIp: deviceIp,
-    devicePort: devicePort,
-    state: 'ping-keepalive',
-    intervalTimer: null,
-    timeoutTimer: null,
-    startTime: Date.now()
-  };
+// Stop forwarding log entries for a stream
+function stopLogStream(streamId) {
+  const unsubscribe = logStreams.get(streamId);
+  if (unsubscribe) {
+    unsubscribe();
+    logStreams.delete(streamId);
+  }
+}
 
-  // Make ping request every 2 seconds
-  state.intervalTimer = setInterval(async () => {
-    try {
-      const url = `http://${deviceIp}:${devicePort}/api/${authToken}/ping?keepalive=60`;
-      console.log(`Auto ping keepalive: ${url}`);
-
-      await axios({
-        method: 'GET',
-        url: url,
-        timeout: 5000,
-        validateStatus: () => true
-      });
-    } catch (error) {
-      console.log(`Ping keepalive failed for device ${deviceId}: ${error.message}`);
-    }
-  }, AUTO_REQUEST_INTERVAL_MS);
+// Stop all log streams (their subscribers are gone once the connection drops)
+function stopAllLogStreams() {
+  Array.from(logStreams.keys()).forEach(stopLogStream);
+}
 
-  // Stop after 60 seconds
-  state.timeoutTimer = setTimeout(() => {
-    console.log(`Ping keepalive timeout for device ${deviceId} (60 seconds elapsed)`);
-    cleanupAutoRequests(stateKey);
-  }, AUTO_REQUEST_DURATION_MS);
+// Track a device request so a 'cancel' from the service can abort it
+function startCancellableRequest(requestId) {
+  const controller = new AbortController();
+  activeRequests.set(requestId, controller);
+  return controller;
+}
 
-  autoRequestStates.set(stateKey, state);
+// Abort all device requests (the service has given up on them once the connection drops)
+function cancelAllRequests() {
+  activeRequests.forEach(controller => controller.abort());
+  activeRequests.clear();
 }
 
-// Stop auto-requests for a specific device/token
-function stopAutoRequests(deviceId, authToken) {
-  const stateKey = getAutoRequestStateKey(deviceId, authToken);
-  cleanupAutoRequests(stateKey);
+// Collect a diagnostics snapshot for remote troubleshooting (never includes the secret)
+function getDiagnostics() {
+  const { secret, ...safeConfig } = config;
+
+  return {
+    proxyVersion: PROXY_VERSION,
+    nodeVersion: process.version,
+    platform: os.platform(),
+    arch: os.arch(),
+    hostname: os.hostname(),
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    config: safeConfig,
+    network: {
+      localIp: getLocalIpAddress(),
+      interfaces: os.networkInterfaces()
+    },
+    connection: {
+      connected: isConnected,
+      protocolVersion: negotiatedProtocol ? negotiatedProtocol.protocolVersion : null,
+      capabilities: negotiatedProtocol ? negotiatedProtocol.capabilities : null,
+      lastPingAt: lastPingTime ? new Date(lastPingTime).toISOString() : null
+    },
+    bonjour: {
+      browserRunning: Array.from(bonjourBrowsers.values()).some(entry => !!entry.browser),
+      servicesSeen: Array.from(bonjourBrowsers.values()).reduce((count, entry) => count + (entry.browser && entry.browser.services ? entry.browser.services.length : 0), 0),
+      interfaces: Array.from(bonjourBrowsers.entries()).map(([name, entry]) => ({ name, address: entry.address }))
+    },
+    devices: Array.from(deviceRegistry.entries()).map(([deviceId, device]) => ({
+      deviceId: deviceId,
+      ...device,
+      online: !deviceRemovalTimers.has(deviceId),
+      lastSeen: deviceLastSeen.has(deviceId) ? new Date(deviceLastSeen.get(deviceId)).toISOString() : null
+    })),
+    pendingRemovals: Array.from(deviceRemovalTimers.keys()),
+    networkScan: {
+      running: !!scanTimer,
+      scanning: scanRunning,
+      lastScanAt: lastScanAt ? new Date(lastScanAt).toISOString() : null
+    },
+    deviceSessions: deviceSessions.list()
+  };
 }
 
-// Make HTTP request to local OnSong device
-async function makeDeviceRequest(targetIp, targetPort, method, path, headers, body) {
-  try {
-    const url = `http://${targetIp}:${targetPort}${path}`;
-    console.log(`Making ${method} request to device: ${url}`);
+// Start the new executable (see spawnReplacement) and shut down
+function restartProxy() {
+  const underServiceManager = spawnReplacement(appDir);
+  logger.info('Restarting proxy', { underServiceManager });
+  shutdown();
+}
 
-    headers = {
-        'content-type': 'application/json'
-    };
-    if (path.endsWith('/content')) {
-        headers['content-type'] = 'application/text';
-        body = body.content;
+// Download an executable to filePath, verifying its SHA-256 while it streams
+async function downloadUpdate(url, filePath, expectedSha256) {
+  const response = await axios.get(url, {
+    responseType: 'stream',
+    timeout: 60000,
+    httpsAgent: new https.Agent(getServiceTlsOptions())
+  });
+
+  const hash = crypto.createHash('sha256');
+  await new Promise((resolve, reject) => {
+    const file = fs.createWriteStream(filePath, { mode: 0o755 });
+    response.data.on('data', chunk => hash.update(chunk));
+    response.data.on('error', reject);
+    file.on('error', reject);
+    file.on('finish', resolve);
+    response.data.pipe(file);
+  });
+
+  const actualSha256 = hash.digest('hex');
+  if (actualSha256 !== expectedSha256) {
+    throw new Error(`SHA-256 mismatch (expected ${expectedSha256}, got ${actualSha256})`);
+  }
+}
+
+// Handle an 'update-available' message: download, verify, swap the executable and restart
+async function handleUpdateAvailable(message) {
+  const { version, url, sha256 } = message;
+
+  if (!process.pkg) {
+    logger.info('Update available (self-update only works for the packaged executable)', { version });
+    return;
+  }
+  if (!config.autoUpdate) {
+    logger.info('Update available (autoUpdate disabled in config.json)', { version });
+    return;
+  }
+  if (isUpdating || pendingUpdate) {
+    return;
+  }
+
+  const state = readUpdateState(UPDATE_STATE_PATH);
+  if (state && state.failedVersion === version) {
+    logger.warn('Skipping update that was rolled back before', { version });
+    return;
+  }
+  if (!url || !/^[a-f0-9]{64}$/.test(sha256 || '')) {
+    logger.error('Invalid update-available message', { version });
+    return;
+  }
+
+  isUpdating = true;
+  const execPath = process.execPath;
+  const newPath = `${execPath}.new`;
+  const backupPath = `${execPath}.old`;
+
+  try {
+    logger.info('Downloading update', { version, currentVersion: PROXY_VERSION });
+    await downloadUpdate(url, newPath, sha256);
+
+    // Keep the running executable as backup for rollback, then move the new one into place.
+    // Windows can't overwrite a running executable, but it can rename it.
+    if (os.platform() === 'win32') {
+      fs.rmSync(backupPath, { force: true });
+      fs.renameSync(execPath, backupPath);
+      try {
+        fs.renameSync(newPath, execPath);
+      } catch (error) {
+        fs.renameSync(backupPath, execPath);
+        throw error;
+      }
+    } else {
+      fs.copyFileSync(execPath, backupPath);
+      fs.renameSync(newPath, execPath);
     }
 
-    const response = await axios({
-      method: method,
-      url: url,
-      headers: headers,
-      data: body,
-      timeout: 30000,
-      validateStatus: () => true // Accept any status code
+    writeUpdateState(UPDATE_STATE_PATH, {
+      status: 'pending',
+      version: version,
+      previousVersion: PROXY_VERSION,
+      startAttempts: 0,
+      installedAt: new Date().toISOString()
     });
 
-    return {
-      success: true,
-      statusCode: response.status,
-      headers: response.headers,
-      data: response.data
-    };
+    logger.info('Update installed', { version, previousVersion: PROXY_VERSION });
+    restartProxy();
   } catch (error) {
-    console.error(`Device request error: ${error.message}`);
-    return {
-      success: false,
-      error: error.message
-    };
+    isUpdating = false;
+    fs.rmSync(newPath, { force: true });
+    logger.error('Self-update failed', { version, error });
+  }
+}
+
+// On startup: an update that was just installed (and counted this start, see recordUpdateStart) has to register
+function checkPendingUpdate() {
+  if (!startingUpdate) {
+    return;
+  }
+
+  pendingUpdate = startingUpdate;
+  logger.info('Verifying update', { version: startingUpdate.version, previousVersion: startingUpdate.previousVersion, startAttempt: startingUpdate.startAttempts });
+}
+
+// Connected to the service while an update is pending: the service must confirm registration in time
+function startUpdateConfirmTimer() {
+  if (!pendingUpdate || updateConfirmTimer) {
+    return;
   }
+
+  updateConfirmTimer = setTimeout(() => {
+    updateConfirmTimer = null;
+    rollbackUpdate(pendingUpdate, 'Registration was not confirmed by the service');
+  }, UPDATE_CONFIRM_TIMEOUT_MS);
+}
+
+// The new version registered successfully - keep it
+function confirmUpdate() {
+  if (!pendingUpdate) {
+    return;
+  }
+
+  clearTimeout(updateConfirmTimer);
+  updateConfirmTimer = null;
+
+  writeUpdateState(UPDATE_STATE_PATH, {
+    status: 'succeeded',
+    version: pendingUpdate.version,
+    previousVersion: pendingUpdate.previousVersion,
+    confirmedAt: new Date().toISOString()
+  });
+  fs.rmSync(`${process.execPath}.old`, { force: true });
+
+  logger.info('Update confirmed', { version: pendingUpdate.version, previousVersion: pendingUpdate.previousVersion });
+  pendingUpdate = null;
+}
+
+// Restore the previous executable and restart into it
+function rollbackUpdate(state, reason) {
+  clearTimeout(updateConfirmTimer);
+  updateConfirmTimer = null;
+  pendingUpdate = null;
+
+  logger.error('Update failed, rolling back', { version: state.version, previousVersion: state.previousVersion, reason });
+
+  try {
+    if (!restorePreviousExecutable(UPDATE_STATE_PATH, state, reason)) {
+      logger.error('Update failed but no previous executable to roll back to', { version: state.version, reason });
+      return;
+    }
+  } catch (error) {
+    logger.error('Rollback failed', { error });
+    return;
+  }
+  restartProxy();
 }
 
 // Handle incoming WebSocket messages
 async function handleMessage(data) {
   try {
     const message = JSON.parse(data);
-    console.log(`Received message ${message.requestId}, type: ${message.type}`);
+    // Every log line about this request carries the service's requestId and the caller's correlation ID
+    const log = logger.child({ requestId: message.requestId, correlationId: message.correlationId });
+    log.debug('Received message', { type: message.type });
 
     if (message.type === 'discover') {
       // Handle device discovery request - return current device list
@@ -659,10 +1379,12 @@ async function handleMessage(data) {
         devices: devices
       }));
 
-      console.log(`Sent discovery response with ${devices.length} device(s)`);
+      log.info('Sent discovery response', { devices: devices.length });
     } else if (message.type === 'api-request') {
       // Handle API request to device
-      const { targetIp, targetPort = 80, method, path, headers = {}, body } = message;
+      const { targetPort = 80, method, path, headers = {}, body, bodyEncoding, contentType, deviceId: requestedDeviceId, timeoutMs } = message;
+      // IPv6 literals may arrive bracketed ("[fd00::5]")
+      const targetIp = message.targetIp ? normalizeIp(message.targetIp) : message.targetIp;
 
       if (!targetIp) {
         ws.send(JSON.stringify({
@@ -674,82 +1396,238 @@ async function handleMessage(data) {
         return;
       }
 
-      const result = await makeDeviceRequest(targetIp, targetPort, method, path, headers, body);
-
-      // Check if this is an auth request and handle auto-retry/keepalive
-      const authMatch = path.match(/^\/api\/([^\/]+)\/auth$/);
-      if (authMatch) {
-        const authToken = authMatch[1];
-
-        // Find deviceId from targetIp
-        let deviceId = null;
-        for (const [id, device] of deviceRegistry.entries()) {
-          if (device.addresses.includes(targetIp)) {
-            deviceId = id;
-            break;
-          }
-        }
-
-        if (deviceId) {
-          if (!result.success || result.statusCode >= 400) {
-            // Auth request failed - start automatic retry with original method and body
-            console.log(`Auth request failed (status ${result.statusCode || 'error'}), starting auto-retry`);
-            startAuthRetry(deviceId, authToken, targetIp, targetPort, method, body);
-          } else if (result.statusCode === 200) {
-            // Auth request succeeded - start ping keepalive
-            console.log(`Auth request succeeded, starting ping keepalive`);
-            startPingKeepalive(deviceId, authToken, targetIp, targetPort);
-          }
-        } else {
-          console.log(`Could not find deviceId for IP ${targetIp}, skipping auto-requests`);
-        }
+      const rejection = checkTargetAllowed(targetIp, targetPort);
+      if (rejection) {
+        log.warn('Device request rejected by target policy', { method, targetIp, targetPort, path, reason: rejection });
+        ws.send(JSON.stringify({
+          type: 'api-response',
+          requestId: message.requestId,
+          success: false,
+          forbidden: true,
+          statusCode: 403,
+          error: rejection
+        }));
+        return;
       }
 
+      const controller = startCancellableRequest(message.requestId);
+      const result = await makeDeviceRequest(targetIp, targetPort, method, path, headers, body, bodyEncoding, contentType, log, {
+        timeoutMs: timeoutMs,
+        signal: controller.signal
+      });
+      activeRequests.delete(message.requestId);
+      if (result.cancelled) {
+        // The service already dropped the request, nobody waits for the response
+        return;
+      }
+
+      // Use the deviceId the service resolved, otherwise find it from targetIp
+      const deviceId = deviceRegistry.has(requestedDeviceId) ? requestedDeviceId : findDeviceIdByIp(targetIp);
+      startSessionAfterAuth(deviceId, targetIp, method, path, body, result, log);
+
       ws.send(JSON.stringify({
         type: 'api-response',
         requestId: message.requestId,
         ...result
       }));
 
-      console.log(`Sent API response for request ${message.requestId}, status ${result.statusCode || 'error'}`);
+      log.debug('Sent API response', { statusCode: result.statusCode });
+    } else if (message.type === 'broadcast-request') {
+      // Handle API request fanned out to all (or a filtered subset of) devices
+      const { method, path, headers = {}, body, bodyEncoding, contentType, filter = {}, timeoutMs } = message;
+
+      const controller = startCancellableRequest(message.requestId);
+      const results = await broadcastDeviceRequest(filter, method, path, headers, body, bodyEncoding, contentType, log, {
+        timeoutMs: timeoutMs,
+        signal: controller.signal
+      });
+      activeRequests.delete(message.requestId);
+      if (controller.signal.aborted) {
+        return;
+      }
+
+      ws.send(JSON.stringify({
+        type: 'broadcast-response',
+        requestId: message.requestId,
+        success: true,
+        results: results
+      }));
+
+      log.debug('Sent broadcast response', { devices: results.length });
+    } else if (message.type === 'diagnostics') {
+      // Handle diagnostics request - return a snapshot of the proxy's state
+      ws.send(JSON.stringify({
+        type: 'diagnostics-response',
+        requestId: message.requestId,
+        success: true,
+        diagnostics: getDiagnostics()
+      }));
+
+      log.info('Sent diagnostics response');
+    } else if (message.type === 'logs') {
+      // Handle log request - return buffered entries, optionally filtered by level and time
+      const entries = logBuffer.query({ level: message.level, since: message.since, limit: message.limit });
+
+      ws.send(JSON.stringify({
+        type: 'logs-response',
+        requestId: message.requestId,
+        success: true,
+        entries: entries
+      }));
+    } else if (message.type === 'logs-subscribe') {
+      // Start streaming new log entries to the service
+      startLogStream(message.streamId, message.level);
+      log.info('Log stream started', { streamId: message.streamId, level: message.level });
+    } else if (message.type === 'logs-unsubscribe') {
+      stopLogStream(message.streamId);
+      log.info('Log stream stopped', { streamId: message.streamId });
+    } else if (message.type === 'session-start') {
+      // Start (or restart) a long-lived session for a device
+      const { deviceId, authToken, method, body, durationMs } = message;
+      let response;
+      if (!deviceRegistry.has(deviceId)) {
+        response = { success: false, error: `Unknown device: ${deviceId}` };
+      } else if (!authToken) {
+        response = { success: false, error: 'Missing authToken' };
+      } else {
+        response = { success: true, session: deviceSessions.start(deviceId, { authToken, method, body, durationMs }) };
+      }
+
+      ws.send(JSON.stringify({ type: 'session-start-response', requestId: message.requestId, ...response }));
+    } else if (message.type === 'session-stop') {
+      const stopped = deviceSessions.stop(message.deviceId);
+      ws.send(JSON.stringify({
+        type: 'session-stop-response',
+        requestId: message.requestId,
+        success: stopped,
+        error: stopped ? undefined : `No session for device: ${message.deviceId}`
+      }));
+    } else if (message.type === 'sessions') {
+      ws.send(JSON.stringify({
+        type: 'sessions-response',
+        requestId: message.requestId,
+        success: true,
+        sessions: deviceSessions.list()
+      }));
+    } else if (message.type === 'cancel') {
+      // The HTTP client behind this request disconnected, stop waiting for the device
+      const controller = activeRequests.get(message.requestId);
+      if (controller) {
+        activeRequests.delete(message.requestId);
+        controller.abort();
+      }
     } else if (message.type === 'ping') {
       // Respond to ping to keep connection alive
       ws.send(JSON.stringify({ type: 'pong' }));
 
       // Reset watchdog timer
       resetWatchdog();
+    } else if (message.type === 'registered') {
+      negotiatedProtocol = {
+        protocolVersion: message.protocolVersion || 1,
+        capabilities: message.capabilities || LEGACY_CAPABILITIES
+      };
+      logger.info('Registration confirmed', negotiatedProtocol);
+      confirmUpdate();
+    } else if (message.type === 'update-available') {
+      // Service has a newer executable for this platform
+      await handleUpdateAvailable(message);
+    } else if (message.type === 'error') {
+      // Service rejected us (e.g. unknown or revoked UUID); it closes the socket afterwards
+      logger.error('Service error', { message: message.message });
+
+      if (pendingUpdate) {
+        rollbackUpdate(pendingUpdate, `Registration rejected: ${message.message}`);
+      }
+    } else if (message.type === 'superseded') {
+      // Another proxy with the same UUID registered - stop reconnecting so the two don't keep evicting each other
+      isSuperseded = true;
+      logger.error('Connection superseded: another proxy is using this config.json. Not reconnecting; restart this proxy to take over again.', {
+        message: message.message
+      });
     }
   } catch (error) {
-    console.error('Error handling message:', error.message);
+    logger.error('Error handling message', { error });
   }
 }
 
+// How the service's certificate is verified: pinned fingerprints, a CA bundle from config.json,
+// the system CAs, or not at all (validateCertificate: false in configs from before pinning existed)
+function getCertificateTrustMode() {
+  if (config.certificateFingerprints) {
+    return 'pinned';
+  }
+  if (config.ca) {
+    return 'ca';
+  }
+  return config.validateCertificate === false ? 'disabled' : 'system';
+}
+
+// TLS options for connections to the service (WebSocket and update downloads).
+// Pinned connections skip chain validation; verifyPinnedCertificate() checks them before anything is sent.
+function getServiceTlsOptions() {
+  const mode = getCertificateTrustMode();
+  if (mode === 'ca') {
+    return { rejectUnauthorized: true, ca: config.ca };
+  }
+  return { rejectUnauthorized: mode === 'system' };
+}
+
+// Check the service's certificate against the pinned fingerprints.
+// Only the leaf counts: the chain is not validated in pinned mode, so anyone can append the
+// (public) pinned certificate as a fake issuer of their own. Returns null if pinned, otherwise an error message.
+function verifyPinnedCertificate(socket) {
+  if (!socket || typeof socket.getPeerCertificate !== 'function') {
+    return 'certificateFingerprints requires a wss:// serviceUrl';
+  }
+
+  const pinned = config.certificateFingerprints.map(fingerprint => fingerprint.toUpperCase());
+  const certificate = socket.getPeerCertificate();
+  if (certificate && certificate.fingerprint256 && pinned.includes(certificate.fingerprint256.toUpperCase())) {
+    return null;
+  }
+
+  return `Service certificate ${(certificate && certificate.fingerprint256) || '(none)'} matches none of the pinned fingerprints`;
+}
+
+// TLS verification failures carry OpenSSL codes such as DEPTH_ZERO_SELF_SIGNED_CERT or CERT_HAS_EXPIRED
+function isCertificateError(error) {
+  return /CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(error.code || '');
+}
+
 // Connect to onsong-service
 function connect() {
   if (ws && (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN)) {
     return;
   }
 
-  console.log(`Connecting to onsong-service: ${config.serviceUrl}`);
-
-  // WebSocket options
-  const wsOptions = {};
+  logger.info('Connecting to onsong-service', { serviceUrl: config.serviceUrl });
 
-  // Allow self-signed certificates if configured (for development)
-  // In production with Let's Encrypt, set validateCertificate: true in config.json
-  if (config.validateCertificate === false) {
-    wsOptions.rejectUnauthorized = false;
-    console.log('Note: SSL certificate validation disabled (development mode)');
-  } else if (config.validateCertificate === undefined) {
-    // Default: allow self-signed for localhost/development
-    wsOptions.rejectUnauthorized = false;
-    console.log('Note: SSL certificate validation disabled by default (development mode)');
+  if (getCertificateTrustMode() === 'disabled') {
+    logger.warn('SSL certificate validation disabled (validateCertificate: false) - the connection is open to man-in-the-middle attacks. Download a new proxy package to get a pinned certificate.');
   }
 
-  ws = new WebSocket(config.serviceUrl, wsOptions);
+  ws = new WebSocket(config.serviceUrl, getServiceTlsOptions());
+
+  // The TLS handshake is done once the upgrade response arrives - check the pin before the secret is sent
+  let certificateError = null;
+  ws.on('upgrade', (response) => {
+    if (config.certificateFingerprints) {
+      certificateError = verifyPinnedCertificate(response.socket);
+    }
+  });
 
   ws.on('open', () => {
-    console.log('Connected to onsong-service');
+    if (certificateError) {
+      logger.error('Not registering: service certificate does not match the pinned certificate (possible man-in-the-middle)', {
+        serviceUrl: config.serviceUrl,
+        error: certificateError
+      });
+      ws.terminate();
+      return;
+    }
+
+    logger.info('Connected to onsong-service');
     isConnected = true;
 
     // Register with service
@@ -760,10 +1638,14 @@ function connect() {
       location: config.location,
       public: config.public,
       uuid: config.uuid,
-      proxyVersion: '2.0.0'
+      proxyVersion: PROXY_VERSION,
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      capabilities: getCapabilities(),
+      platform: os.platform()
     }));
 
-    console.log(`Registered with ChurchTools URL: ${config.churchToolsUrl}`);
+    logger.info('Sent registration', { churchToolsUrl: config.churchToolsUrl });
 
     // Clear reconnect timer
     if (reconnectTimer) {
@@ -773,6 +1655,8 @@ function connect() {
 
     // Start watchdog timer to monitor connection health
     startWatchdog();
+
+    startUpdateConfirmTimer();
   });
 
   ws.on('message', (data) => {
@@ -780,20 +1664,37 @@ function connect() {
   });
 
   ws.on('error', (error) => {
-    console.error('WebSocket error:', error.message);
+    if (isCertificateError(error)) {
+      logger.error('Not connecting: service certificate could not be verified (possible man-in-the-middle)', {
+        serviceUrl: config.serviceUrl,
+        trust: getCertificateTrustMode(),
+        code: error.code,
+        error
+      });
+      return;
+    }
+    logger.error('WebSocket error', { error });
   });
 
   ws.on('close', () => {
-    console.log('Disconnected from onsong-service');
+    logger.warn('Disconnected from onsong-service');
     isConnected = false;
     ws = null;
+    negotiatedProtocol = null;
 
     // Stop watchdog timer
     stopWatchdog();
 
+    stopAllLogStreams();
+    cancelAllRequests();
+
+    if (isSuperseded) {
+      return;
+    }
+
     // Attempt reconnection after 5 seconds
     if (!reconnectTimer) {
-      console.log('Reconnecting in 5 seconds...');
+      logger.info('Reconnecting in 5 seconds');
       reconnectTimer = setTimeout(() => {
         reconnectTimer = null;
         connect();
@@ -809,11 +1710,31 @@ function start() {
   console.log('\n========================================');
   console.log('OnSong Proxy Client Started');
   console.log('========================================');
+  console.log(`Version: ${PROXY_VERSION}`);
   console.log(`Local IP Address: ${localIp}`);
+  if (config.interfaces.length > 0) {
+    console.log(`Interfaces: ${config.interfaces.join(', ')}`);
+  }
+  if (config.subnets.length > 0) {
+    console.log(`Subnets: ${config.subnets.join(', ')}`);
+  }
   console.log(`Service URL: ${config.serviceUrl}`);
   console.log(`ChurchTools URL: ${config.churchToolsUrl}`);
+  console.log(`Certificate Validation: ${getCertificateTrustMode()}`);
+  console.log(`Log Level: ${config.logLevel} (JSON lines)`);
+  if (config.staticDevices.length > 0) {
+    console.log(`Static Devices: ${config.staticDevices.map(device => `${device.ip}:${device.port || 80}`).join(', ')}`);
+  }
+  if (config.scanSubnets.length > 0) {
+    console.log(`Scan Subnets: ${config.scanSubnets.join(', ')} (port ${config.scanPort}, every ${config.scanIntervalSeconds}s)`);
+  }
   console.log('========================================\n');
 
+  checkPendingUpdate();
+
+  // Saved sessions resume once their devices are found
+  deviceSessions.restore();
+
   // Start continuous device monitoring
   startDeviceMonitoring();
 
@@ -823,7 +1744,7 @@ function start() {
 
 // Graceful shutdown
 function shutdown() {
-  console.log('\n\nShutting down proxy...');
+  logger.info('Shutting down proxy');
 
   // Stop device monitoring
   stopDeviceMonitoring();
@@ -831,11 +1752,7 @@ function shutdown() {
   // Stop watchdog timer
   stopWatchdog();
 
-  // Clean up all auto-requests
-  const stateKeys = Array.from(autoRequestStates.keys());
-  for (const stateKey of stateKeys) {
-    cleanupAutoRequests(stateKey);
-  }
+  deviceSessions.stopAll();
 
   if (reconnectTimer) {
     clearTimeout(reconnectTimer);
@@ -845,9 +1762,7 @@ function shutdown() {
     ws.close();
   }
 
-  bonjour.destroy();
-
-  console.log('Proxy stopped.');
+  logger.info('Proxy stopped');
   process.exit(0);
 }
 
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
+const { writeFileAtomicSync } = require('./atomic-file');
+
+// Self-update bookkeeping in update-state.json, which survives the restart into the new executable.
+// status: 'pending' (installed, has to register), 'succeeded', 'rolled-back', 'failed' or 'abandoned'.
+// This module is loaded before the rest of the proxy, so a new version that exits while loading its
+// modules or validating config.json still counts its starts and gets rolled back.
+
+const UPDATE_MAX_START_ATTEMPTS = 3; // Roll back if the new version keeps exiting before it registers
+
+// Read the self-update state file (null if there is none)
+function readUpdateState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeUpdateState(statePath, state) {
+  writeFileAtomicSync(statePath, JSON.stringify(state, null, 2));
+}
+
+// Start the executable again. systemd (Restart=always) and launchd (KeepAlive) restart us when
+// we exit; in manual mode and under the Windows scheduled task we spawn the executable ourselves.
+// Returns whether a service manager does the restart.
+function spawnReplacement(appDir) {
+  const underServiceManager = !!process.env.INVOCATION_ID || process.env.XPC_SERVICE_NAME === 'com.onsong.proxy';
+
+  if (!underServiceManager) {
+    const child = spawn(process.execPath, process.argv.slice(2), {
+      cwd: appDir,
+      detached: true,
+      stdio: 'inherit'
+    });
+    child.unref();
+  }
+  return underServiceManager;
+}
+
+// Put the previous executable (<executable>.old) back in place of a failed update.
+// Windows can't overwrite the running executable, so it is moved aside to <executable>.failed
+// (deleted on the next start). Returns false if there is no previous executable; throws if moving fails.
+function restorePreviousExecutable(statePath, state, reason) {
+  const execPath = process.execPath;
+  const backupPath = `${execPath}.old`;
+
+  if (!fs.existsSync(backupPath)) {
+    writeUpdateState(statePath, { ...state, status: 'failed', reason: reason });
+    return false;
+  }
+
+  if (os.platform() === 'win32') {
+    fs.renameSync(execPath, `${execPath}.failed`);
+  }
+  fs.renameSync(backupPath, execPath);
+
+  writeUpdateState(statePath, {
+    status: 'rolled-back',
+    version: state.previousVersion,
+    failedVersion: state.version,
+    reason: reason,
+    rolledBackAt: new Date().toISOString()
+  });
+  return true;
+}
+
+// Called first thing on startup: if an update was just installed, count this start. After too many
+// starts the previous executable is restored and started instead, and this process exits.
+// Returns the pending update state while the new version still has to register, otherwise null.
+function recordUpdateStart(statePath, version, appDir) {
+  // Executable replaced on Windows by an earlier rollback
+  fs.rmSync(`${process.execPath}.failed`, { force: true });
+
+  const state = readUpdateState(statePath);
+  if (!state || state.status !== 'pending') {
+    return null;
+  }
+
+  if (state.version !== version) {
+    // The executable was swapped back by hand - nothing to verify
+    writeUpdateState(statePath, { ...state, status: 'abandoned' });
+    return null;
+  }
+
+  state.startAttempts++;
+  writeUpdateState(statePath, state);
+
+  if (state.startAttempts <= UPDATE_MAX_START_ATTEMPTS) {
+    return state;
+  }
+
+  // The logger isn't loaded yet
+  const reason = `Did not register after ${UPDATE_MAX_START_ATTEMPTS} starts`;
+  console.error(`Update to ${state.version} failed (${reason}), rolling back to ${state.previousVersion}`);
+  try {
+    if (!restorePreviousExecutable(statePath, state, reason)) {
+      console.error('No previous executable to roll back to, keeping this version');
+      return null;
+    }
+  } catch (error) {
+    console.error(`Rollback failed: ${error.message}`);
+    return null;
+  }
+  spawnReplacement(appDir);
+  process.exit(0);
+}
+
+module.exports = { readUpdateState, writeUpdateState, spawnReplacement, restorePreviousExecutable, recordUpdateStart };
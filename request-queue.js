@@ -0,0 +1,163 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+
+// Persistent store-and-forward queue for /api requests to proxies that are offline.
+// Stored as JSON: { "jobs": { "<jobId>": { id, seq, uuid, churchToolsUrl, status, createdAt, expiresAt, request, ... } } }
+// status is 'pending' until the proxy reconnects, then 'delivered' (with the device's response) or 'failed' (with an error).
+// Finished jobs are kept for the queue TTL so callers can fetch the result, then pruned.
+// Changes are written in the background; the methods that change the queue resolve once it is on disk.
+// logger receives parse errors of an unreadable queue file.
+class RequestQueue {
+  constructor(filePath, logger = console) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.jobs = {};
+    this.sizes = new Map(); // Map<jobId, bytes in the queue file>
+    this.nextSeq = 1;
+    this.queuedWrite = null;
+    this.lastWrite = Promise.resolve();
+    this.load();
+  }
+
+  // Read the queue from disk (a missing file is an empty queue). An unreadable file is moved
+  // aside for inspection and the service starts with an empty queue instead of not at all.
+  load() {
+    this.jobs = {};
+    try {
+      this.jobs = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).jobs || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+        this.logger.error('Could not read request queue, starting with an empty queue', { filePath: this.filePath, movedTo: corruptPath, error: error.message });
+        try {
+          fs.renameSync(this.filePath, corruptPath);
+        } catch (renameError) {
+          this.logger.error('Could not move unreadable request queue aside', { filePath: this.filePath, error: renameError.message });
+        }
+      }
+    }
+    this.sizes.clear();
+    Object.values(this.jobs).forEach(job => this.measure(job));
+    this.nextSeq = Object.values(this.jobs).reduce((max, job) => Math.max(max, job.seq), 0) + 1;
+  }
+
+  // Write the queue to disk. Writes never overlap: changes made while a write is running are
+  // written by the next one, which also covers every save() called in the meantime.
+  save() {
+    if (!this.queuedWrite) {
+      const write = this.lastWrite.catch(() => {}).then(() => {
+        this.queuedWrite = null;
+        return writeFileAtomic(this.filePath, JSON.stringify({ jobs: this.jobs }, null, 2));
+      });
+      this.queuedWrite = write;
+      this.lastWrite = write;
+    }
+    return this.queuedWrite;
+  }
+
+  // Remember how much of the queue file a job takes
+  measure(job) {
+    this.sizes.set(job.id, Buffer.byteLength(JSON.stringify(job)));
+  }
+
+  // Size of all jobs (requests and stored responses) in the queue file
+  totalBytes() {
+    let total = 0;
+    this.sizes.forEach(size => { total += size; });
+    return total;
+  }
+
+  // Queue a request for a proxy. request holds everything needed to send the api-request later.
+  // Resolves to the job once it is on disk; if it can't be written, the job is dropped again.
+  async enqueue({ uuid, churchToolsUrl, request, ttlMs }) {
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      seq: this.nextSeq++,
+      uuid: uuid,
+      churchToolsUrl: churchToolsUrl,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+      request: request
+    };
+    this.jobs[job.id] = job;
+    this.measure(job);
+    try {
+      await this.save();
+    } catch (error) {
+      delete this.jobs[job.id];
+      this.sizes.delete(job.id);
+      throw error;
+    }
+    return job;
+  }
+
+  // Get a single job by ID
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  // List a proxy's jobs in queue order, optionally only those with the given status
+  list(uuid, status) {
+    return Object.values(this.jobs)
+      .filter(job => job.uuid === uuid && (!status || job.status === status))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  // Record the device's response for a delivered job
+  markDelivered(id, response) {
+    return this.finish(id, { status: 'delivered', response: response });
+  }
+
+  // Record why a job could not be delivered
+  markFailed(id, error) {
+    return this.finish(id, { status: 'failed', error: error });
+  }
+
+  // Finished jobs no longer need the request body (it may be large)
+  async finish(id, result) {
+    const job = this.jobs[id];
+    if (!job) {
+      return;
+    }
+    delete job.request.body;
+    Object.assign(job, result, { completedAt: new Date().toISOString() });
+    this.measure(job);
+    await this.save();
+  }
+
+  // Fail pending jobs past their expiry and drop finished jobs older than retentionMs.
+  // Resolves to the jobs that expired.
+  async expire(retentionMs) {
+    const now = Date.now();
+    const expired = [];
+    let changed = false;
+
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === 'pending' && Date.parse(job.expiresAt) <= now) {
+        delete job.request.body;
+        Object.assign(job, {
+          status: 'failed',
+          error: 'Expired before the proxy delivered it',
+          completedAt: new Date(now).toISOString()
+        });
+        this.measure(job);
+        expired.push(job);
+        changed = true;
+      } else if (job.status !== 'pending' && Date.parse(job.completedAt) + retentionMs <= now) {
+        delete this.jobs[job.id];
+        this.sizes.delete(job.id);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.save();
+    }
+    return expired;
+  }
+}
+
+module.exports = { RequestQueue };
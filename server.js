@@ -1,4 +1,5 @@
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
@@ -8,29 +9,139 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const crypto = require('crypto');
 const archiver = require('archiver');
+const { EnrollmentStore } = require('./enrollment-store');
+const { RequestQueue } = require('./request-queue');
+const { createMetrics } = require('./metrics');
+const { createLogger } = require('./logger');
+const { loadConfig, matchesOriginPattern } = require('./config');
+const { createAdmin } = require('./admin');
 
 const execAsync = promisify(exec);
 
-const PORT = process.env.PORT || 3001;
-const SERVICE_URL = 'wss://onsong.feg-karlsruhe.de:443';
-
-// Note: SSL certificates are optional when using nginx for SSL termination
-// If you need HTTPS directly from Node.js, uncomment the certificate loading below
-const certDir = path.join(__dirname, 'certs');
-const keyPath = path.join(certDir, 'key.pem');
-const certPath = path.join(certDir, 'cert.pem');
-
-// Uncomment for direct HTTPS (without nginx):
-// if (!fs.existsSync(keyPath) || !fs.existsSync(certPath)) {
-//   console.error('SSL certificates not found!');
-//   console.error('Please run: npm run setup-cert');
-//   process.exit(1);
-// }
-//
-// const sslOptions = {
-//   key: fs.readFileSync(keyPath),
-//   cert: fs.readFileSync(certPath)
-// };
+// Load configuration (config.json and environment overrides, see config.example.json)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const logger = createLogger(config.logLevel);
+
+const PORT = config.port;
+// Public WebSocket URL of this service, written into every generated proxy config.json
+const SERVICE_URL = config.serviceUrl;
+// HTTP(S) base URL proxies use to download self-updates
+const PUBLIC_URL = SERVICE_URL.replace(/^ws/, 'http');
+
+// Pre-built proxy executables (see build-executables.js)
+const BUILDS_DIR = path.join(__dirname, 'builds');
+const EXECUTABLE_NAMES = {
+  'macos': 'onsong-proxy-macos',
+  'linux': 'onsong-proxy-linux',
+  'windows': 'onsong-proxy-windows.exe'
+};
+// Platform reported by the proxy (Node's os.platform()) to builds/ target
+const PLATFORM_TARGETS = {
+  'darwin': 'macos',
+  'linux': 'linux',
+  'win32': 'windows'
+};
+// Self-update download links stay valid for one hour
+const UPDATE_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Persistent registry of proxies issued by /download
+const ENROLLMENTS_PATH = config.enrollmentsPath;
+// Accept (and enroll) proxies that are not in the registry yet, e.g. proxies downloaded before the registry existed
+const ENROLL_UNKNOWN_PROXIES = config.enrollUnknownProxies;
+const enrollments = new EnrollmentStore(ENROLLMENTS_PATH, logger);
+
+// Store-and-forward queue for /api requests sent with X-Queue: true, delivered when the proxy (re)connects
+const QUEUE_TTL_MS = config.queueTtlMs;
+const QUEUE_MAX_PENDING_PER_PROXY = config.queueMaxPendingPerProxy;
+// The whole queue is kept in memory and rewritten on every change, so bodies and the queue as a whole are capped
+const QUEUE_MAX_BODY_BYTES = config.queueMaxBodyBytes;
+const QUEUE_MAX_TOTAL_BYTES = config.queueMaxTotalBytes;
+const requestQueue = new RequestQueue(config.queuePath, logger);
+
+// Bearer token required for /metrics (leave unset to allow unauthenticated scraping)
+const METRICS_TOKEN = config.metricsToken;
+
+// What happens when a proxy registers while another socket with the same UUID is connected:
+// 'replace' (default) - the newer session wins, the old socket gets a 'superseded' message and is closed
+// 'reject'            - the newer session is rejected and the existing one stays connected
+const DUPLICATE_PROXY_POLICY = config.duplicateProxyPolicy;
+
+// Temporary build directories for /download
+const DOWNLOADS_DIR = config.downloadsDir;
+// How long to wait for a proxy to answer a request (broadcasts contact every device, so they get longer)
+const REQUEST_TIMEOUT_MS = config.requestTimeoutMs;
+const BROADCAST_TIMEOUT_MS = config.broadcastTimeoutMs;
+// Upper bound for caller-supplied X-Request-Timeout values
+const MAX_REQUEST_TIMEOUT_MS = config.maxRequestTimeoutMs;
+// With X-Request-Timeout the device gets the full timeout and the service waits this much longer,
+// so a device timeout reported by the proxy arrives before the service gives up on the proxy
+const PROXY_ROUND_TRIP_MARGIN_MS = 5000;
+// Interval of pings to proxies and keepalive comments on event streams
+const HEARTBEAT_INTERVAL_MS = config.heartbeatIntervalMs;
+// Proxies that send nothing (not even a pong) for this long are terminated
+const HEARTBEAT_TIMEOUT_MS = config.heartbeatTimeoutMs;
+// Sockets that haven't registered by then are closed, so unauthenticated connections can't pile up
+const REGISTER_TIMEOUT_MS = 10000;
+
+// WebSocket protocol negotiated in the register handshake.
+// Version 1: proxies from before negotiation existed (they send no protocolVersion)
+// Version 2: register carries protocolVersion and capabilities, registered answers with the negotiated set
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+// Message types and formats the service can use, each gated on the proxy announcing the same capability
+const SERVICE_CAPABILITIES = [
+  'discover',      // discover / discover-response
+  'api-request',   // api-request / api-response
+  'binary-body',   // base64 request and response bodies (bodyEncoding / dataEncoding)
+  'device-events', // device-up / device-updated / device-down pushed by the proxy
+  'broadcast',     // broadcast-request / broadcast-response
+  'diagnostics',   // diagnostics / diagnostics-response
+  'logs',          // logs / logs-response
+  'log-stream',    // logs-subscribe / logs-unsubscribe / log-entry
+  'self-update',   // update-available
+  'cancel',        // cancel (abort a pending api-request or broadcast-request)
+  'device-sessions' // session-start / session-stop / sessions (long-lived device sessions)
+];
+// What protocol version 1 proxies understand
+const LEGACY_CAPABILITIES = ['discover', 'api-request'];
+// A proxy without these is of no use to the service
+const REQUIRED_CAPABILITIES = ['discover', 'api-request'];
+// Message types proxies send; anything else is counted as 'unknown' so clients can't create metric series
+const PROXY_MESSAGE_TYPES = new Set([
+  'register', 'pong', 'discover-response', 'api-response', 'broadcast-response', 'diagnostics-response',
+  'logs-response', 'log-entry', 'session-start-response', 'session-stop-response', 'sessions-response',
+  'device-up', 'device-updated', 'device-down'
+]);
+
+// Direct TLS (without nginx) when tlsKeyPath and tlsCertPath are configured
+const TLS_ENABLED = !!config.tlsCertPath;
+
+// Check an Origin header against allowedOrigins and the requesting tenant's tenantOrigins.
+// Preflight requests carry no data and often no Referer, so any tenant's origins are accepted for them.
+function isOriginAllowed(origin, churchToolsUrl, isPreflight) {
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname;
+  } catch (error) {
+    return false;
+  }
+
+  if (matchesOriginPattern(hostname, config.allowedOrigins)) {
+    return true;
+  }
+  if (isPreflight) {
+    return Object.values(config.tenantOrigins).some(patterns => matchesOriginPattern(hostname, patterns));
+  }
+  return !!churchToolsUrl && !!config.tenantOrigins[churchToolsUrl] &&
+    matchesOriginPattern(hostname, config.tenantOrigins[churchToolsUrl]);
+}
 
 // Create Express app
 const app = express();
@@ -40,19 +151,19 @@ app.use(express.json());
 app.use((req, res, next) => {
   const origin = req.headers.origin;
 
-  // Allow requests from church.tools domains and localhost for testing
-  if (origin) {
-    if (origin.endsWith('.church.tools') ||
-        origin.endsWith('.krz.tools') ||
-        origin.includes('localhost') ||
-        origin.includes('127.0.0.1') ||
-        origin.includes('.test')) {
-      res.setHeader('Access-Control-Allow-Origin', origin);
-    }
+  // The admin dashboard is same-origin only
+  if (req.path.startsWith('/admin')) {
+    return next();
+  }
+
+  // Allow requests from the configured origins (ChurchTools domains and localhost by default)
+  if (origin && isOriginAllowed(origin, getChurchToolsUrl(req.headers['referer'] || req.headers['referrer']), req.method === 'OPTIONS')) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
   }
 
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-AUTH, X-ID, ONSONGIP, ONSONGPORT');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-AUTH, X-ID, ONSONGIP, ONSONGPORT, ONSONGDEVICE, ONSONGROLE, ONSONGNAME, X-Correlation-ID, X-Request-Timeout, X-Queue');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Correlation-ID');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
 
   // Handle preflight requests
@@ -63,12 +174,73 @@ app.use((req, res, next) => {
   next();
 });
 
-// Connection registry: Map of "churchToolsUrl:uuid" -> { churchToolsUrl, secret, uuid, location, public, ws, requestHandlers }
+// Correlation ID middleware - takes the caller's X-Correlation-ID (or X-Request-ID) or generates one.
+// It is returned in the response, forwarded to the proxy and included in every log line about the request.
+app.use((req, res, next) => {
+  const incoming = req.headers['x-correlation-id'] || req.headers['x-request-id'];
+  req.correlationId = /^[\w.:-]{1,128}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+  req.log = logger.child({ correlationId: req.correlationId });
+  res.setHeader('X-Correlation-ID', req.correlationId);
+  next();
+});
+
+// Request metrics middleware - records count and latency per matched route
+app.use((req, res, next) => {
+  const endTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? req.route.path : 'unmatched';
+    endTimer({ route });
+    metrics.httpRequests.inc({ route, method: req.method, status: res.statusCode });
+  });
+
+  next();
+});
+
+// Connection registry: Map of "churchToolsUrl:uuid" -> { churchToolsUrl, secret, uuid, location, public, ws, requestHandlers, devices }
 const connections = new Map();
 
+// Presence subscribers (Server-Sent Events): Map of "churchToolsUrl:uuid" -> Set of open responses
+const presenceSubscribers = new Map();
+
+// Self-update download links: Map of token -> { os, version, expiresAt }
+const updateTokens = new Map();
+
+// Prometheus metrics
+const metrics = createMetrics(connections);
+
+// Admin dashboard (/admin), disabled unless adminPassword is set
+const admin = createAdmin({
+  username: config.adminUsername,
+  password: config.adminPassword,
+  connections: connections,
+  enrollments: enrollments,
+  disconnectProxy: disconnectProxy,
+  logger: logger
+});
+app.use('/admin', admin.router);
+
+// Requests relayed to proxies, recorded for the admin dashboard
+const ADMIN_RECORDED_ROUTES = ['/discover', '/diagnostics', '/logs', '/api/*', '/broadcast/api/*'];
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    if (req.route && ADMIN_RECORDED_ROUTES.includes(req.route.path)) {
+      admin.recordRequest(req, res, Date.now() - startedAt, getChurchToolsUrl(req.headers['referer'] || req.headers['referrer']));
+    }
+  });
+  next();
+});
+
 // Request ID counter
 let requestIdCounter = 0;
 
+// Maximum size of raw (non-JSON) request bodies forwarded to devices
+const MAX_RAW_BODY_SIZE = '20mb';
+
+// Device response headers that describe the original transfer and must not be copied onto our response
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'content-length', 'content-encoding'];
+
 // Get ChurchTools hostname from referrer
 function getChurchToolsUrl(referrer) {
   if (!referrer) return null;
@@ -90,7 +262,8 @@ function findConnection(churchToolsUrl, secret) {
 }
 
 // Find and authenticate connection with UUID validation and optional secret check
-function findAndAuthenticateConnection(churchToolsUrl, secret, uuid) {
+// (requireSecret checks the secret even for public proxies, e.g. for diagnostics and logs)
+function findAndAuthenticateConnection(churchToolsUrl, secret, uuid, requireSecret = false) {
   if (!uuid) {
     return { error: 'Missing UUID', status: 401 };
   }
@@ -103,34 +276,523 @@ function findAndAuthenticateConnection(churchToolsUrl, secret, uuid) {
   }
 
   // Only check secret if proxy is not public
-  if (!conn.public && conn.secret !== secret) {
+  if ((!conn.public || requireSecret) && conn.secret !== secret) {
     return { error: 'Invalid secret', status: 403 };
   }
 
   return { conn };
 }
 
-// Send request to proxy and wait for response
-function sendToProxy(conn, type, data, timeout = 30000) {
+// Send a message over a proxy WebSocket
+function sendMessage(ws, message) {
+  metrics.websocketMessages.inc({ direction: 'out', type: message.type });
+  ws.send(JSON.stringify(message));
+}
+
+// Error for requests that can never be answered because the proxy connection is gone.
+// Routes answer these with 503 instead of the 504 of a proxy or device that is too slow.
+function proxyDisconnectedError(message) {
+  const error = new Error(message);
+  error.code = 'PROXY_DISCONNECTED';
+  return error;
+}
+
+// Error for requests whose HTTP client went away; there is nobody left to answer
+function clientAbortedError() {
+  const error = new Error('Client disconnected');
+  error.code = 'CLIENT_ABORTED';
+  return error;
+}
+
+// Abort signal that fires when the HTTP client disconnects before the response was sent
+function clientDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// Timeouts of a proxied request: timeoutMs for the proxy's device request, waitMs for the service.
+// The caller may set the device timeout (X-Request-Timeout header, milliseconds, capped at maxRequestTimeoutMs)
+// and the service waits a round-trip margin longer. Otherwise the service waits defaultWaitMs
+// (requestTimeoutMs or broadcastTimeoutMs) and the device timeout leaves the margin inside it.
+// Returns { timeoutMs, waitMs } or { error }.
+function getRequestTimeout(req, defaultWaitMs) {
+  const header = req.headers['x-request-timeout'];
+  if (header === undefined) {
+    return { timeoutMs: getDeviceTimeout(defaultWaitMs), waitMs: defaultWaitMs };
+  }
+
+  const timeoutMs = Number(header);
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    return { error: `Invalid X-Request-Timeout: ${header} (expected milliseconds)` };
+  }
+  const cappedMs = Math.min(timeoutMs, MAX_REQUEST_TIMEOUT_MS);
+  return { timeoutMs: cappedMs, waitMs: cappedMs + PROXY_ROUND_TRIP_MARGIN_MS };
+}
+
+// Device timeout that lets the proxy answer before the service stops waiting after waitMs
+// (short configured timeouts keep at least half of it for the device)
+function getDeviceTimeout(waitMs) {
+  return waitMs - Math.min(PROXY_ROUND_TRIP_MARGIN_MS, Math.floor(waitMs / 2));
+}
+
+// Answer a failed proxy request: 503 if the proxy went away, 504 if it didn't answer in time
+function sendProxyFailure(res, error) {
+  if (error.code === 'PROXY_DISCONNECTED') {
+    return res.status(503).json({
+      error: 'Proxy disconnected',
+      message: error.message
+    });
+  }
+  return res.status(504).json({
+    error: 'Gateway timeout',
+    message: error.message
+  });
+}
+
+// Send request to proxy and wait for response.
+// When signal aborts (see clientDisconnectSignal) the request is dropped and the proxy told to cancel it.
+function sendToProxy(conn, type, data, timeout = REQUEST_TIMEOUT_MS, signal = null) {
   return new Promise((resolve, reject) => {
+    // A closing socket would silently drop the request and leave it to time out
+    if (conn.ws.readyState !== WebSocket.OPEN) {
+      reject(proxyDisconnectedError('Proxy connection closed'));
+      return;
+    }
+    if (signal && signal.aborted) {
+      reject(clientAbortedError());
+      return;
+    }
+
     const requestId = `req-${++requestIdCounter}`;
 
+    const log = logger.child({ requestId, correlationId: data.correlationId, uuid: conn.uuid });
+    const startTime = Date.now();
+
     const timeoutTimer = setTimeout(() => {
       delete conn.requestHandlers[requestId];
+      metrics.proxyRequestTimeouts.inc({ type });
+      log.warn('Proxy request timed out', { type, timeoutMs: timeout });
       reject(new Error('Request timeout'));
     }, timeout);
 
-    conn.requestHandlers[requestId] = (response) => {
-      clearTimeout(timeoutTimer);
-      delete conn.requestHandlers[requestId];
-      resolve(response);
+    conn.requestHandlers[requestId] = {
+      resolve: (response) => {
+        clearTimeout(timeoutTimer);
+        delete conn.requestHandlers[requestId];
+        log.info('Proxy response received', { type: response.type, statusCode: response.statusCode, durationMs: Date.now() - startTime });
+        resolve(response);
+      },
+      reject: (error) => {
+        clearTimeout(timeoutTimer);
+        delete conn.requestHandlers[requestId];
+        reject(error);
+      }
     };
 
-    conn.ws.send(JSON.stringify({
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        if (!conn.requestHandlers[requestId]) {
+          return;
+        }
+
+        log.info('Client disconnected, cancelling proxy request', { type, durationMs: Date.now() - startTime });
+        if (conn.capabilities.includes('cancel') && conn.ws.readyState === WebSocket.OPEN) {
+          sendMessage(conn.ws, { type: 'cancel', requestId: requestId });
+        }
+        conn.requestHandlers[requestId].reject(clientAbortedError());
+      }, { once: true });
+    }
+
+    log.debug('Sending request to proxy', { type });
+    sendMessage(conn.ws, {
       type: type,
       requestId: requestId,
       ...data
-    }));
+    });
+  });
+}
+
+// Send a Server-Sent Event to everyone subscribed to a proxy's device presence
+function sendPresenceEvent(connectionKey, event, data) {
+  const subscribers = presenceSubscribers.get(connectionKey);
+  if (!subscribers) {
+    return;
+  }
+
+  const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  subscribers.forEach(res => res.write(payload));
+}
+
+// Get the cached device list of a proxy
+function getCachedDevices(conn) {
+  return Array.from(conn.devices.values());
+}
+
+// Replace cached devices with a full device list reported by the proxy
+// (devices missing from the list are gone from the proxy's registry)
+function cacheDevices(conn, devices) {
+  conn.devices.clear();
+  for (const device of devices || []) {
+    const deviceId = device.txt && device.txt.deviceid;
+    if (deviceId) {
+      conn.devices.set(deviceId, {
+        ...device,
+        deviceId: deviceId,
+        online: device.online !== false,
+        updatedAt: new Date()
+      });
+    }
+  }
+}
+
+// Apply a device-up, device-updated or device-down message from a proxy and notify subscribers
+function handleDeviceEvent(conn, connectionKey, message) {
+  const { type, deviceId, device, removed } = message;
+  if (!deviceId) {
+    return;
+  }
+
+  if (type === 'device-down' && removed) {
+    conn.devices.delete(deviceId);
+  } else {
+    const cached = conn.devices.get(deviceId);
+    conn.devices.set(deviceId, {
+      ...(cached || {}),
+      ...(device || {}),
+      deviceId: deviceId,
+      online: type !== 'device-down',
+      updatedAt: new Date()
+    });
+  }
+
+  logger.info('Device presence changed', { event: type, deviceId, removed: !!removed, connectionKey });
+
+  // A queued request may be waiting for this device
+  if (type === 'device-up') {
+    deliverQueuedRequests(conn);
+  }
+
+  sendPresenceEvent(connectionKey, type, {
+    deviceId: deviceId,
+    removed: !!removed,
+    device: conn.devices.get(deviceId) || null
+  });
+}
+
+// Fetch the proxy's full device list after it registers, so the cache starts complete
+async function seedDeviceCache(conn, connectionKey) {
+  try {
+    const response = await sendToProxy(conn, 'discover', {});
+    if (response.success) {
+      cacheDevices(conn, response.devices);
+      sendPresenceEvent(connectionKey, 'devices', { devices: getCachedDevices(conn) });
+    }
+  } catch (error) {
+    logger.warn('Initial device discovery failed', { connectionKey, error });
+  }
+}
+
+// Resolve a device ID to its current address (IPv4 preferred, then routable IPv6) and port.
+// Returns null if the device is offline or unknown.
+async function resolveDevice(conn, deviceId, correlationId) {
+  // Unknown devices may simply be missing from the cache (e.g. initial discovery failed) - refresh once.
+  // Without device-events (protocol v1 proxies) the cache never learns about changes, so always refresh.
+  if (!conn.devices.has(deviceId) || !conn.capabilities.includes('device-events')) {
+    const response = await sendToProxy(conn, 'discover', { correlationId });
+    if (response.success) {
+      cacheDevices(conn, response.devices);
+    }
+  }
+
+  const device = conn.devices.get(deviceId);
+  if (!device || !device.online) {
+    return null;
+  }
+
+  const addresses = device.addresses || [];
+  // Link-local IPv6 (fe80::) only works with a zone ID on the proxy's machine
+  const address = addresses.find(addr => !addr.includes(':')) ||
+    addresses.find(addr => addr.includes(':') && !/^fe[89ab][0-9a-f]:/i.test(addr));
+  if (!address) {
+    return null;
+  }
+
+  return { targetIp: address, targetPort: device.port || 80 };
+}
+
+// Build the headers and body of an incoming /api request for forwarding to a device
+function getForwardRequest(req) {
+  // Forward headers (excluding proxy-specific ones)
+  const forwardHeaders = { ...req.headers };
+  delete forwardHeaders['x-auth'];
+  delete forwardHeaders['onsongip'];
+  delete forwardHeaders['onsongdevice'];
+  delete forwardHeaders['onsongrole'];
+  delete forwardHeaders['onsongname'];
+  delete forwardHeaders['x-queue'];
+  delete forwardHeaders['host'];
+  delete forwardHeaders['referer'];
+  delete forwardHeaders['referrer'];
+
+  // Raw bodies (text, images, PDFs, ...) travel base64-encoded together with their content type
+  const isRawBody = Buffer.isBuffer(req.body);
+
+  return {
+    headers: forwardHeaders,
+    contentType: req.headers['content-type'],
+    body: isRawBody ? req.body.toString('base64') : req.body,
+    bodyEncoding: isRawBody ? 'base64' : 'json'
+  };
+}
+
+// Reject all requests still waiting for a response from this connection
+function failPendingRequests(conn, error) {
+  Object.values(conn.requestHandlers).forEach(handler => handler.reject(error));
+}
+
+// Authenticate a queued request against the enrollment registry, since its proxy may be offline.
+// requireSecret checks the secret even for public proxies (queue status includes device responses).
+async function authenticateQueuedRequest(churchToolsUrl, secret, uuid, requireSecret = false) {
+  const enrollment = enrollments.get(uuid);
+  if (!enrollment || enrollment.revoked || enrollment.churchToolsUrl !== churchToolsUrl) {
+    return { error: 'Unknown proxy', status: 403 };
+  }
+
+  if ((!enrollment.public || requireSecret) && !(await enrollments.secretMatches(enrollment, secret))) {
+    return { error: 'Invalid secret', status: 403 };
+  }
+
+  return { enrollment };
+}
+
+// Public view of a queued job for the status endpoint
+function formatQueuedJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    method: job.request.method,
+    path: job.request.path,
+    deviceId: job.request.deviceId,
+    targetIp: job.request.targetIp,
+    createdAt: job.createdAt,
+    expiresAt: job.expiresAt,
+    completedAt: job.completedAt,
+    response: job.response,
+    error: job.error
+  };
+}
+
+// Send one queued request to its proxy. Returns false if delivery has to stop here:
+// the target device is offline (retried on its device-up) or the proxy disconnected (retried on the next registration).
+async function deliverQueuedRequest(conn, job) {
+  const request = job.request;
+  const log = logger.child({ jobId: job.id, uuid: conn.uuid, correlationId: request.correlationId });
+
+  if (!conn.capabilities.includes('api-request') ||
+      (request.bodyEncoding === 'base64' && !conn.capabilities.includes('binary-body'))) {
+    await requestQueue.markFailed(job.id, `Proxy ${conn.uuid} (version ${conn.proxyVersion}) does not support this request`);
+    return true;
+  }
+
+  try {
+    let { targetIp, targetPort } = request;
+    if (request.deviceId) {
+      const device = await resolveDevice(conn, request.deviceId, request.correlationId);
+      if (!device) {
+        log.info('Queued request waiting for device', { deviceId: request.deviceId });
+        return false;
+      }
+      ({ targetIp, targetPort } = device);
+    }
+
+    const response = await sendToProxy(conn, 'api-request', {
+      ...request,
+      targetIp,
+      targetPort,
+      timeoutMs: getDeviceTimeout(REQUEST_TIMEOUT_MS)
+    });
+    if (response.success) {
+      await requestQueue.markDelivered(job.id, {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        data: response.data,
+        dataEncoding: response.dataEncoding
+      });
+      log.info('Queued request delivered', { statusCode: response.statusCode });
+    } else {
+      await requestQueue.markFailed(job.id, response.error);
+      log.warn('Queued request failed', { error: response.error });
+    }
+    return true;
+  } catch (error) {
+    if (error.code === 'PROXY_DISCONNECTED') {
+      log.info('Proxy disconnected, queued request stays pending');
+      return false;
+    }
+    await requestQueue.markFailed(job.id, error.message);
+    log.warn('Queued request failed', { error });
+    return true;
+  }
+}
+
+// Fail queued requests past their expiry and prune finished jobs older than the queue TTL
+async function expireQueuedRequests() {
+  (await requestQueue.expire(QUEUE_TTL_MS)).forEach(job => {
+    logger.warn('Queued request expired', { jobId: job.id, uuid: job.uuid, correlationId: job.request.correlationId });
+  });
+}
+
+// Deliver a proxy's pending queued requests one at a time, in the order they were queued.
+// Callers don't wait for it, so it never rejects: queue write errors (full disk, permissions) are logged
+// and delivery resumes on the next registration or device-up.
+async function deliverQueuedRequests(conn) {
+  if (conn.deliveringQueue) {
+    return;
+  }
+
+  conn.deliveringQueue = true;
+  try {
+    let job;
+    await expireQueuedRequests();
+    while ((job = requestQueue.list(conn.uuid, 'pending')[0])) {
+      // Stop if this session was superseded or closed, the next one takes over
+      if (connections.get(`${conn.churchToolsUrl}:${conn.uuid}`) !== conn) {
+        return;
+      }
+      if (!await deliverQueuedRequest(conn, job)) {
+        return;
+      }
+    }
+  } catch (error) {
+    logger.error('Queued request delivery failed', { uuid: conn.uuid, error });
+  } finally {
+    conn.deliveringQueue = false;
+  }
+}
+
+// Negotiate protocol version and capabilities from a register message.
+// Returns { protocolVersion, capabilities } or { error } describing why the proxy is incompatible.
+function negotiateProtocol(message) {
+  if (message.protocolVersion === undefined) {
+    return { protocolVersion: 1, capabilities: LEGACY_CAPABILITIES.slice() };
+  }
+
+  const proxyVersion = parseInt(message.protocolVersion, 10);
+  const proxyMinVersion = parseInt(message.minProtocolVersion, 10) || 1;
+  if (!proxyVersion) {
+    return { error: `Invalid protocolVersion: ${message.protocolVersion}` };
+  }
+
+  const protocolVersion = Math.min(proxyVersion, PROTOCOL_VERSION);
+  if (protocolVersion < MIN_PROTOCOL_VERSION || protocolVersion < proxyMinVersion) {
+    return {
+      error: `Incompatible protocol: proxy speaks versions ${proxyMinVersion}-${proxyVersion}, service speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}. ` +
+        (proxyMinVersion > PROTOCOL_VERSION ? 'Update the service.' : 'Download a new proxy.')
+    };
+  }
+
+  const offered = Array.isArray(message.capabilities) ? message.capabilities : [];
+  const missing = REQUIRED_CAPABILITIES.filter(capability => !offered.includes(capability));
+  if (missing.length > 0) {
+    return { error: `Incompatible proxy: missing required capabilities ${missing.join(', ')}` };
+  }
+
+  return {
+    protocolVersion: protocolVersion,
+    capabilities: SERVICE_CAPABILITIES.filter(capability => offered.includes(capability))
+  };
+}
+
+// Check that a proxy negotiated a capability before sending it a message type that depends on it.
+// Responds with 501 and returns false for proxies that don't support it.
+function requireCapability(conn, capability, res) {
+  if (conn.capabilities.includes(capability)) {
+    return true;
+  }
+
+  res.status(501).json({
+    error: 'Not supported by proxy',
+    message: `Proxy ${conn.uuid} (version ${conn.proxyVersion}, protocol ${conn.protocolVersion}) does not support '${capability}'. Download a new proxy to use this endpoint.`
+  });
+  return false;
+}
+
+// Close a proxy connection, telling the proxy why
+function disconnectProxy(conn, message) {
+  sendMessage(conn.ws, { type: 'error', message: message });
+  conn.ws.close();
+}
+
+// Read builds/manifest.json written by build-executables.js (null if the executables were never built)
+function loadBuildManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(BUILDS_DIR, 'manifest.json'), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to read build manifest', { error });
+    }
+    return null;
+  }
+}
+
+// Compare dotted version strings numerically: -1, 0 or 1
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+// Offer the executable from builds/ to a proxy that registered with an older version.
+// Only proxies that negotiated self-update and reported their platform are considered.
+function offerUpdate(conn, platform) {
+  if (!conn.capabilities.includes('self-update')) {
+    return;
+  }
+
+  const target = PLATFORM_TARGETS[platform];
+  const manifest = loadBuildManifest();
+  if (!target || !manifest || !manifest.executables || !manifest.executables[target]) {
+    return;
+  }
+  if (compareVersions(conn.proxyVersion, manifest.version) >= 0) {
+    return;
+  }
+
+  // Drop expired links before issuing a new one
+  const now = Date.now();
+  updateTokens.forEach((entry, token) => {
+    if (entry.expiresAt < now) {
+      updateTokens.delete(token);
+    }
+  });
+
+  const token = crypto.randomBytes(24).toString('hex');
+  updateTokens.set(token, { os: target, version: manifest.version, expiresAt: now + UPDATE_TOKEN_TTL_MS });
+
+  const executable = manifest.executables[target];
+  logger.info('Offering proxy update', {
+    uuid: conn.uuid,
+    churchToolsUrl: conn.churchToolsUrl,
+    fromVersion: conn.proxyVersion,
+    toVersion: manifest.version
+  });
+  sendMessage(conn.ws, {
+    type: 'update-available',
+    version: manifest.version,
+    url: `${PUBLIC_URL}/updates/${token}`,
+    sha256: executable.sha256,
+    size: executable.size
   });
 }
 
@@ -143,30 +805,51 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN) {
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    const actual = Buffer.from(req.headers['authorization'] || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).json({ error: 'Invalid or missing metrics token' });
+    }
+  }
+
+  res.setHeader('Content-Type', metrics.register.contentType);
+  res.end(await metrics.register.metrics());
+});
+
+// How a downloaded proxy verifies this service's certificate: pinned fingerprints, a CA bundle
+// (read on every download so a renewed bundle is picked up), or the system CAs
+async function getProxyTrustSettings() {
+  const settings = { validateCertificate: true };
+
+  if (config.proxyCertFingerprints.length > 0) {
+    settings.certificateFingerprints = config.proxyCertFingerprints;
+  }
+  if (config.proxyCaPath) {
+    settings.ca = await fs.promises.readFile(config.proxyCaPath, 'utf8');
+  }
+
+  return settings;
+}
+
 // Helper function to build proxy package (using pre-built executables)
-async function buildProxyExecutable(os, churchToolsUrl, secret, location, isPublic, uuid) {
+async function buildProxyExecutable(os, churchToolsUrl, secret, location, isPublic, uuid, log = logger) {
   const buildId = crypto.randomBytes(16).toString('hex');
-  const tempDir = path.join(__dirname, 'downloads', buildId);
-  const buildsDir = path.join(__dirname, 'builds');
+  const tempDir = path.join(DOWNLOADS_DIR, buildId);
 
   try {
     // Create temp directory
     await fs.promises.mkdir(tempDir, { recursive: true });
-    console.log(`Created temp directory: ${tempDir}`);
-
-    // Determine executable names
-    const executableNames = {
-      'macos': 'onsong-proxy-macos',
-      'linux': 'onsong-proxy-linux',
-      'windows': 'onsong-proxy-windows.exe'
-    };
+    log.debug('Created temp directory', { tempDir });
 
-    const prebuiltName = executableNames[os];
+    const prebuiltName = EXECUTABLE_NAMES[os];
     if (!prebuiltName) {
       throw new Error(`Unsupported OS: ${os}`);
     }
 
-    const prebuiltPath = path.join(buildsDir, prebuiltName);
+    const prebuiltPath = path.join(BUILDS_DIR, prebuiltName);
 
     // Check if pre-built executable exists
     if (!fs.existsSync(prebuiltPath)) {
@@ -177,7 +860,7 @@ async function buildProxyExecutable(os, churchToolsUrl, secret, location, isPubl
     const outputName = os === 'windows' ? 'onsong-proxy.exe' : 'onsong-proxy';
     const outputPath = path.join(tempDir, outputName);
     await fs.promises.copyFile(prebuiltPath, outputPath);
-    console.log(`Copied pre-built executable: ${prebuiltName}`);
+    log.debug('Copied pre-built executable', { executable: prebuiltName });
 
     // Make executable on Unix systems
     if (os !== 'windows') {
@@ -186,17 +869,17 @@ async function buildProxyExecutable(os, churchToolsUrl, secret, location, isPubl
 
     // Generate config.json
     const configPath = path.join(tempDir, 'config.json');
-    const config = {
+    const proxyConfig = {
       serviceUrl: SERVICE_URL,
       churchToolsUrl: churchToolsUrl,
       secret: secret,
       location: location,
       public: isPublic,
       uuid: uuid,
-      validateCertificate: false
+      ...(await getProxyTrustSettings())
     };
-    await fs.promises.writeFile(configPath, JSON.stringify(config, null, 2));
-    console.log(`Generated config.json`);
+    await fs.promises.writeFile(configPath, JSON.stringify(proxyConfig, null, 2));
+    log.debug('Generated config.json', { certificateTrust: proxyConfig.certificateFingerprints ? 'pinned' : proxyConfig.ca ? 'ca' : 'system' });
 
     // Copy INSTALL.md if it exists
     const installMdSource = path.join(__dirname, 'proxy-template', 'INSTALL.md');
@@ -209,9 +892,8 @@ async function buildProxyExecutable(os, churchToolsUrl, secret, location, isPubl
     const zipName = os === 'windows' ? 'onsong-proxy-windows.zip' : `onsong-proxy-${os}.zip`;
     const zipPath = path.join(tempDir, zipName);
 
-    console.log(`Creating ZIP package: ${zipPath}`);
-    await createZipPackage(tempDir, zipPath);
-    console.log(`ZIP package created`);
+    log.debug('Creating ZIP package', { zipPath });
+    await createZipPackage(tempDir, zipPath, log);
 
     return { buildId, zipPath, zipName };
   } catch (error) {
@@ -219,20 +901,20 @@ async function buildProxyExecutable(os, churchToolsUrl, secret, location, isPubl
     try {
       await fs.promises.rm(tempDir, { recursive: true, force: true });
     } catch (cleanupError) {
-      console.error(`Error cleaning up ${tempDir}:`, cleanupError.message);
+      log.error('Error cleaning up temp directory', { tempDir, error: cleanupError });
     }
     throw error;
   }
 }
 
 // Helper function to create ZIP package
-function createZipPackage(tempDir, zipPath) {
+function createZipPackage(tempDir, zipPath, log = logger) {
   return new Promise((resolve, reject) => {
     const output = fs.createWriteStream(zipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
 
     output.on('close', () => {
-      console.log(`ZIP created: ${archive.pointer()} total bytes`);
+      log.debug('ZIP package created', { zipPath, bytes: archive.pointer() });
       resolve();
     });
 
@@ -250,7 +932,7 @@ function createZipPackage(tempDir, zipPath) {
 
       if (stat.isFile() && !file.endsWith('.zip')) {
         archive.file(filePath, { name: file });
-        console.log(`  Added to ZIP: ${file}`);
+        log.debug('Added file to ZIP', { file });
       }
     }
 
@@ -259,13 +941,13 @@ function createZipPackage(tempDir, zipPath) {
 }
 
 // Helper function to cleanup build directory
-async function cleanupBuild(buildId) {
-  const tempDir = path.join(__dirname, 'downloads', buildId);
+async function cleanupBuild(buildId, log = logger) {
+  const tempDir = path.join(DOWNLOADS_DIR, buildId);
   try {
     await fs.promises.rm(tempDir, { recursive: true, force: true });
-    console.log(`Cleaned up temp directory: ${tempDir}`);
+    log.debug('Cleaned up temp directory', { tempDir });
   } catch (error) {
-    console.error(`Error cleaning up ${tempDir}:`, error.message);
+    log.error('Error cleaning up temp directory', { tempDir, error });
   }
 }
 
@@ -295,10 +977,23 @@ app.get('/download', async (req, res) => {
   // Generate UUID for this proxy instance
   const proxyUuid = crypto.randomUUID();
 
-  console.log(`Building proxy executable for ${os}, ChurchTools: ${churchToolsUrl}, Location: ${proxyLocation}, Public: ${isPublic}, UUID: ${proxyUuid}`);
+  const log = req.log.child({ uuid: proxyUuid });
+  log.info('Building proxy package', { os, churchToolsUrl, location: proxyLocation, public: isPublic });
 
   try {
-    const { buildId, zipPath, zipName } = await buildProxyExecutable(os, churchToolsUrl, secret, proxyLocation, isPublic, proxyUuid);
+    const endBuildTimer = metrics.downloadBuildDuration.startTimer({ os });
+    const { buildId, zipPath, zipName } = await buildProxyExecutable(os, churchToolsUrl, secret, proxyLocation, isPublic, proxyUuid, log);
+    endBuildTimer();
+
+    // Record the issued proxy so it is allowed to register
+    enrollments.enroll({
+      uuid: proxyUuid,
+      churchToolsUrl: churchToolsUrl,
+      secret: secret,
+      location: proxyLocation,
+      public: isPublic
+    });
+    log.info('Enrolled proxy', { churchToolsUrl });
 
     // Set appropriate headers for ZIP file
     res.setHeader('Content-Type', 'application/zip');
@@ -308,21 +1003,21 @@ app.get('/download', async (req, res) => {
     const fileStream = fs.createReadStream(zipPath);
 
     fileStream.on('error', (error) => {
-      console.error('Error streaming file:', error);
+      log.error('Error streaming file', { error });
       if (!res.headersSent) {
         res.status(500).json({ error: 'Error streaming file' });
       }
     });
 
     fileStream.on('end', async () => {
-      console.log(`File streamed successfully: ${zipName}`);
+      log.info('Proxy package downloaded', { zipName });
       // Clean up after streaming is complete
-      await cleanupBuild(buildId);
+      await cleanupBuild(buildId, log);
     });
 
     fileStream.pipe(res);
   } catch (error) {
-    console.error('Error building executable:', error);
+    log.error('Error building proxy package', { error });
     res.status(500).json({
       error: 'Build failed',
       message: error.message
@@ -330,6 +1025,23 @@ app.get('/download', async (req, res) => {
   }
 });
 
+// Self-update download for proxies (link sent in an 'update-available' message)
+app.get('/updates/:token', (req, res) => {
+  const entry = updateTokens.get(req.params.token);
+  if (!entry || entry.expiresAt < Date.now()) {
+    return res.status(404).json({ error: 'Unknown or expired update link' });
+  }
+
+  const executablePath = path.join(BUILDS_DIR, EXECUTABLE_NAMES[entry.os]);
+  if (!fs.existsSync(executablePath)) {
+    return res.status(404).json({ error: 'Executable not found' });
+  }
+
+  req.log.info('Serving proxy update', { os: entry.os, version: entry.version });
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.sendFile(executablePath);
+});
+
 // Proxy check endpoint - validates registration with full authentication (including secret for public proxies)
 app.get('/proxycheck', async (req, res) => {
   const referrer = req.headers['referer'] || req.headers['referrer'];
@@ -360,6 +1072,50 @@ app.get('/proxycheck', async (req, res) => {
   return res.status(200).json({ registered: true });
 });
 
+// Proxy listing endpoint - lists all proxies of the requesting ChurchTools instance
+// that are public or use the X-AUTH secret
+app.get('/proxies', async (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const secret = req.headers['x-auth'];
+
+  if (!secret) {
+    return res.status(401).json({ error: 'Missing X-AUTH header' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  const proxies = [];
+  for (const enrollment of enrollments.list(churchToolsUrl)) {
+    if (enrollment.revoked) {
+      continue;
+    }
+
+    const conn = connections.get(`${churchToolsUrl}:${enrollment.uuid}`);
+
+    // Connected proxies carry their plaintext secret, offline ones are checked against the stored hash
+    const isPublic = enrollment.public || false;
+    if (!isPublic && !(conn ? conn.secret === secret : await enrollments.secretMatches(enrollment, secret))) {
+      continue;
+    }
+
+    proxies.push({
+      uuid: enrollment.uuid,
+      location: enrollment.location || '',
+      public: isPublic,
+      proxyVersion: conn ? conn.proxyVersion : null,
+      protocolVersion: conn ? conn.protocolVersion : null,
+      capabilities: conn ? conn.capabilities : null,
+      registeredAt: conn ? conn.registeredAt : null,
+      online: !!conn
+    });
+  }
+
+  res.json({ proxies: proxies });
+});
+
 // Discover endpoint
 app.get('/discover', async (req, res) => {
   const referrer = req.headers['referer'] || req.headers['referrer'];
@@ -384,11 +1140,15 @@ app.get('/discover', async (req, res) => {
   }
 
   const conn = authResult.conn;
+  if (!requireCapability(conn, 'discover', res)) {
+    return;
+  }
 
   try {
-    const response = await sendToProxy(conn, 'discover', {});
+    const response = await sendToProxy(conn, 'discover', { correlationId: req.correlationId });
 
     if (response.success) {
+      cacheDevices(conn, response.devices);
       res.json({
         success: true,
         devices: response.devices
@@ -400,27 +1160,24 @@ app.get('/discover', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Discovery error:', error.message);
-    res.status(504).json({
-      error: 'Gateway timeout',
-      message: error.message
-    });
+    req.log.error('Discovery error', { uuid, error });
+    sendProxyFailure(res, error);
   }
 });
 
-// API proxy endpoint
-app.all('/api/*', async (req, res) => {
+// Diagnostics endpoint - returns a snapshot of the proxy's network, Bonjour and device state.
+// Always requires the secret, even for public proxies.
+app.get('/diagnostics', async (req, res) => {
   const referrer = req.headers['referer'] || req.headers['referrer'];
   const secret = req.headers['x-auth'];
   const uuid = req.headers['x-id'];
-  const targetIp = req.headers['onsongip'];
 
   if (!uuid) {
     return res.status(401).json({ error: 'Missing X-ID header' });
   }
 
-  if (!targetIp) {
-    return res.status(400).json({ error: 'Missing ONSONGIP header' });
+  if (!secret) {
+    return res.status(401).json({ error: 'Missing X-AUTH header' });
   }
 
   const churchToolsUrl = getChurchToolsUrl(referrer);
@@ -428,7 +1185,7 @@ app.all('/api/*', async (req, res) => {
     return res.status(400).json({ error: 'Invalid or missing referrer' });
   }
 
-  const authResult = findAndAuthenticateConnection(churchToolsUrl, secret, uuid);
+  const authResult = findAndAuthenticateConnection(churchToolsUrl, secret, uuid, true);
   if (authResult.error) {
     return res.status(authResult.status).json({
       error: authResult.error,
@@ -437,36 +1194,289 @@ app.all('/api/*', async (req, res) => {
   }
 
   const conn = authResult.conn;
+  if (!requireCapability(conn, 'diagnostics', res)) {
+    return;
+  }
 
   try {
-    // Forward headers (excluding proxy-specific ones)
-    const forwardHeaders = { ...req.headers };
-    delete forwardHeaders['x-auth'];
-    delete forwardHeaders['onsongip'];
-    delete forwardHeaders['host'];
-    delete forwardHeaders['referer'];
-    delete forwardHeaders['referrer'];
-
-    const targetPort = req.headers['onsongport'] || 80;
+    const response = await sendToProxy(conn, 'diagnostics', { correlationId: req.correlationId });
+
+    if (response.success) {
+      res.json({
+        success: true,
+        registeredAt: conn.registeredAt,
+        diagnostics: response.diagnostics
+      });
+    } else {
+      res.status(500).json({
+        error: 'Diagnostics failed',
+        message: response.error
+      });
+    }
+  } catch (error) {
+    req.log.error('Diagnostics error', { uuid, error });
+    sendProxyFailure(res, error);
+  }
+});
+
+// Proxy log endpoint - returns recent log entries from the proxy's in-memory buffer.
+// With follow=true the entries are streamed as Server-Sent Events, followed by new entries as they are logged.
+// Always requires the secret, even for public proxies.
+app.get('/logs', async (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const secret = req.headers['x-auth'] || req.query.secret;
+  const uuid = req.headers['x-id'] || req.query.uuid;
+  const { level, since } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 200;
+  const follow = req.query.follow === 'true' || req.query.follow === '1';
+
+  if (!uuid) {
+    return res.status(401).json({ error: 'Missing X-ID header' });
+  }
+
+  if (!secret) {
+    return res.status(401).json({ error: 'Missing X-AUTH header' });
+  }
+
+  if (level && !['debug', 'info', 'warn', 'error'].includes(level)) {
+    return res.status(400).json({ error: 'Invalid level', message: 'level must be one of: debug, info, warn, error' });
+  }
+
+  if (since && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ error: 'Invalid since', message: 'since must be an ISO 8601 timestamp' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  const authResult = findAndAuthenticateConnection(churchToolsUrl, secret, uuid, true);
+  if (authResult.error) {
+    return res.status(authResult.status).json({
+      error: authResult.error,
+      message: authResult.error
+    });
+  }
+
+  const conn = authResult.conn;
+  if (!requireCapability(conn, 'logs', res) || (follow && !requireCapability(conn, 'log-stream', res))) {
+    return;
+  }
+
+  // A client that leaves while the proxy collects the entries must not get a stream registered
+  const signal = clientDisconnectSignal(res);
+
+  let response;
+  try {
+    response = await sendToProxy(conn, 'logs', { level, since, limit, correlationId: req.correlationId }, REQUEST_TIMEOUT_MS, signal);
+  } catch (error) {
+    if (error.code === 'CLIENT_ABORTED') {
+      return;
+    }
+    req.log.error('Log request error', { uuid, error });
+    return sendProxyFailure(res, error);
+  }
+
+  if (signal.aborted || req.destroyed) {
+    return;
+  }
+
+  if (!response.success) {
+    return res.status(500).json({
+      error: 'Log request failed',
+      message: response.error
+    });
+  }
+
+  if (!follow) {
+    return res.json({
+      success: true,
+      entries: response.entries
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+
+  for (const entry of response.entries) {
+    res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+  }
+
+  const streamId = crypto.randomUUID();
+  conn.logStreams.set(streamId, res);
+  sendMessage(conn.ws, { type: 'logs-subscribe', streamId: streamId, level: level });
+  req.log.info('Log stream started', { uuid, streamId });
+
+  req.on('close', () => {
+    if (conn.logStreams.delete(streamId) && conn.ws.readyState === WebSocket.OPEN) {
+      sendMessage(conn.ws, { type: 'logs-unsubscribe', streamId: streamId });
+    }
+    req.log.info('Log stream stopped', { uuid, streamId });
+  });
+});
+
+// Device presence endpoint - streams device-up/device-updated/device-down events as Server-Sent Events.
+// EventSource cannot send custom headers, so uuid and secret may also be passed as query parameters.
+app.get('/events', (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const secret = req.headers['x-auth'] || req.query.secret;
+  const uuid = req.headers['x-id'] || req.query.uuid;
+
+  if (!uuid) {
+    return res.status(401).json({ error: 'Missing X-ID header' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  const authResult = findAndAuthenticateConnection(churchToolsUrl, secret, uuid);
+  if (authResult.error) {
+    return res.status(authResult.status).json({
+      error: authResult.error,
+      message: authResult.error
+    });
+  }
+
+  const connectionKey = `${churchToolsUrl}:${uuid}`;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+
+  // Start with the current device list
+  res.write(`event: devices\ndata: ${JSON.stringify({ devices: getCachedDevices(authResult.conn) })}\n\n`);
+
+  if (!presenceSubscribers.has(connectionKey)) {
+    presenceSubscribers.set(connectionKey, new Set());
+  }
+  presenceSubscribers.get(connectionKey).add(res);
+  req.log.info('Presence subscriber added', { connectionKey });
+
+  req.on('close', () => {
+    const subscribers = presenceSubscribers.get(connectionKey);
+    if (subscribers) {
+      subscribers.delete(res);
+      if (subscribers.size === 0) {
+        presenceSubscribers.delete(connectionKey);
+      }
+    }
+    req.log.info('Presence subscriber removed', { connectionKey });
+  });
+});
+
+// API proxy endpoint
+// JSON bodies are parsed by express.json() as before, any other content type arrives as a raw Buffer
+app.all('/api/*', express.raw({ type: () => true, limit: MAX_RAW_BODY_SIZE }), async (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const secret = req.headers['x-auth'];
+  const uuid = req.headers['x-id'];
+  const deviceId = req.headers['onsongdevice'];
+  let targetIp = req.headers['onsongip'];
+
+  if (!uuid) {
+    return res.status(401).json({ error: 'Missing X-ID header' });
+  }
+
+  if (!targetIp && !deviceId) {
+    return res.status(400).json({ error: 'Missing ONSONGIP or ONSONGDEVICE header' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  // Opt-in store-and-forward: accepted even while the proxy is offline, delivered when it connects
+  if (req.headers['x-queue'] === 'true') {
+    return queueApiRequest(req, res, churchToolsUrl, secret, uuid);
+  }
+
+  const authResult = findAndAuthenticateConnection(churchToolsUrl, secret, uuid);
+  if (authResult.error) {
+    return res.status(authResult.status).json({
+      error: authResult.error,
+      message: authResult.error
+    });
+  }
+
+  const conn = authResult.conn;
+  const forwardRequest = getForwardRequest(req);
+  if (!requireCapability(conn, 'api-request', res) ||
+      (forwardRequest.bodyEncoding === 'base64' && !requireCapability(conn, 'binary-body', res))) {
+    return;
+  }
+
+  const { timeoutMs, waitMs, error: timeoutError } = getRequestTimeout(req, REQUEST_TIMEOUT_MS);
+  if (timeoutError) {
+    return res.status(400).json({ error: 'Bad Request', message: timeoutError });
+  }
+  const signal = clientDisconnectSignal(res);
+
+  try {
+    let targetPort = req.headers['onsongport'] || 80;
+
+    // A stable device ID takes precedence over ONSONGIP, since device addresses change with DHCP
+    if (deviceId) {
+      const device = await resolveDevice(conn, deviceId, req.correlationId);
+      if (!device) {
+        return res.status(404).json({
+          error: 'Device offline',
+          message: `Device ${deviceId} is not online at this proxy`
+        });
+      }
+      targetIp = device.targetIp;
+      targetPort = device.targetPort;
+    }
 
     const response = await sendToProxy(conn, 'api-request', {
       targetIp: targetIp,
       targetPort: parseInt(targetPort, 10),
+      deviceId: deviceId,
       method: req.method,
       path: req.url,
-      headers: forwardHeaders,
-      body: req.body
-    });
+      timeoutMs: timeoutMs,
+      correlationId: req.correlationId,
+      ...forwardRequest
+    }, waitMs, signal);
 
     if (response.success) {
       // Forward response headers
       if (response.headers) {
         Object.keys(response.headers).forEach(key => {
-          res.setHeader(key, response.headers[key]);
+          if (!HOP_BY_HOP_HEADERS.includes(key.toLowerCase())) {
+            res.setHeader(key, response.headers[key]);
+          }
         });
       }
 
-      res.status(response.statusCode || 200).json(response.data);
+      // Non-JSON device responses arrive base64-encoded and are passed through byte for byte
+      if (response.dataEncoding === 'base64') {
+        res.status(response.statusCode || 200).send(Buffer.from(response.data || '', 'base64'));
+      } else {
+        res.status(response.statusCode || 200).json(response.data);
+      }
+    } else if (response.timedOut) {
+      // The proxy reached its device timeout (proxies from before timedOut existed report 502)
+      res.status(504).json({
+        error: 'Gateway timeout',
+        message: response.error
+      });
+    } else if (response.forbidden) {
+      // The proxy's target policy only allows its discovered devices (and configured extra addresses)
+      res.status(403).json({
+        error: 'Forbidden',
+        message: response.error
+      });
     } else {
       res.status(502).json({
         error: 'Bad Gateway',
@@ -474,144 +1484,753 @@ app.all('/api/*', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('API proxy error:', error.message);
-    res.status(504).json({
-      error: 'Gateway timeout',
-      message: error.message
+    if (error.code === 'CLIENT_ABORTED') {
+      return;
+    }
+    req.log.error('API proxy error', { uuid, error });
+    sendProxyFailure(res, error);
+  }
+});
+
+// Authenticate a /sessions request and check the proxy supports device sessions.
+// Sends the error response and returns null if the request can't go ahead.
+function getSessionConnection(req, res) {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const uuid = req.headers['x-id'];
+
+  if (!uuid) {
+    res.status(401).json({ error: 'Missing X-ID header' });
+    return null;
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    res.status(400).json({ error: 'Invalid or missing referrer' });
+    return null;
+  }
+
+  const authResult = findAndAuthenticateConnection(churchToolsUrl, req.headers['x-auth'], uuid);
+  if (authResult.error) {
+    res.status(authResult.status).json({
+      error: authResult.error,
+      message: authResult.error
+    });
+    return null;
+  }
+
+  return requireCapability(authResult.conn, 'device-sessions', res) ? authResult.conn : null;
+}
+
+// Device sessions kept alive by a proxy
+app.get('/sessions', async (req, res) => {
+  const conn = getSessionConnection(req, res);
+  if (!conn) {
+    return;
+  }
+
+  try {
+    const response = await sendToProxy(conn, 'sessions', { correlationId: req.correlationId });
+    res.json({ success: true, sessions: response.sessions || [] });
+  } catch (error) {
+    req.log.error('Session status error', { uuid: conn.uuid, error });
+    sendProxyFailure(res, error);
+  }
+});
+
+// Session status of one device
+app.get('/sessions/:deviceId', async (req, res) => {
+  const conn = getSessionConnection(req, res);
+  if (!conn) {
+    return;
+  }
+
+  try {
+    const response = await sendToProxy(conn, 'sessions', { correlationId: req.correlationId });
+    const session = (response.sessions || []).find(entry => entry.deviceId === req.params.deviceId);
+    if (!session) {
+      return res.status(404).json({ error: 'No session', message: `No session for device ${req.params.deviceId}` });
+    }
+    res.json({ success: true, session: session });
+  } catch (error) {
+    req.log.error('Session status error', { uuid: conn.uuid, error });
+    sendProxyFailure(res, error);
+  }
+});
+
+// Start (or restart) a device session: body { authToken, durationMinutes, method, body }
+app.post('/sessions/:deviceId', async (req, res) => {
+  const conn = getSessionConnection(req, res);
+  if (!conn) {
+    return;
+  }
+
+  const { authToken, durationMinutes, method, body } = req.body || {};
+  if (!authToken || typeof authToken !== 'string') {
+    return res.status(400).json({ error: 'Missing authToken' });
+  }
+  if (durationMinutes !== undefined && (typeof durationMinutes !== 'number' || durationMinutes < 0)) {
+    return res.status(400).json({ error: 'durationMinutes must be a number of minutes (0 keeps the session until stopped)' });
+  }
+
+  try {
+    const response = await sendToProxy(conn, 'session-start', {
+      deviceId: req.params.deviceId,
+      authToken: authToken,
+      durationMs: durationMinutes === undefined ? undefined : durationMinutes * 60 * 1000,
+      method: method,
+      body: body,
+      correlationId: req.correlationId
     });
+
+    if (response.success) {
+      res.json({ success: true, session: response.session });
+    } else {
+      res.status(404).json({ error: 'Session not started', message: response.error });
+    }
+  } catch (error) {
+    req.log.error('Session start error', { uuid: conn.uuid, error });
+    sendProxyFailure(res, error);
   }
 });
 
-// Create HTTPS server
-//const server = https.createServer(sslOptions, app);
-const server = http.createServer(app);
+// Stop a device session
+app.delete('/sessions/:deviceId', async (req, res) => {
+  const conn = getSessionConnection(req, res);
+  if (!conn) {
+    return;
+  }
+
+  try {
+    const response = await sendToProxy(conn, 'session-stop', { deviceId: req.params.deviceId, correlationId: req.correlationId });
+    if (response.success) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'No session', message: response.error });
+    }
+  } catch (error) {
+    req.log.error('Session stop error', { uuid: conn.uuid, error });
+    sendProxyFailure(res, error);
+  }
+});
+
+// Queue an /api request for later delivery and answer 202 with the job's status URL
+async function queueApiRequest(req, res, churchToolsUrl, secret, uuid) {
+  const authResult = await authenticateQueuedRequest(churchToolsUrl, secret, uuid);
+  if (authResult.error) {
+    return res.status(authResult.status).json({
+      error: authResult.error,
+      message: authResult.error
+    });
+  }
+
+  if (requestQueue.list(uuid, 'pending').length >= QUEUE_MAX_PENDING_PER_PROXY) {
+    return res.status(429).json({
+      error: 'Queue full',
+      message: `Proxy ${uuid} already has ${QUEUE_MAX_PENDING_PER_PROXY} pending requests`
+    });
+  }
+
+  const bodySize = Buffer.isBuffer(req.body) ? req.body.length : Buffer.byteLength(JSON.stringify(req.body || {}));
+  if (bodySize > QUEUE_MAX_BODY_BYTES) {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Queued requests may have bodies of at most ${QUEUE_MAX_BODY_BYTES} bytes`
+    });
+  }
+
+  const request = {
+    targetIp: req.headers['onsongip'],
+    targetPort: parseInt(req.headers['onsongport'] || 80, 10),
+    deviceId: req.headers['onsongdevice'],
+    method: req.method,
+    path: req.url,
+    correlationId: req.correlationId,
+    ...getForwardRequest(req)
+  };
+  if (requestQueue.totalBytes() + Buffer.byteLength(JSON.stringify(request)) > QUEUE_MAX_TOTAL_BYTES) {
+    req.log.warn('Request queue full', { uuid, totalBytes: requestQueue.totalBytes() });
+    return res.status(503).json({
+      error: 'Queue full',
+      message: 'The request queue is full, try again later'
+    });
+  }
+
+  let job;
+  try {
+    job = await requestQueue.enqueue({
+      uuid: uuid,
+      churchToolsUrl: churchToolsUrl,
+      ttlMs: QUEUE_TTL_MS,
+      request: request
+    });
+  } catch (error) {
+    req.log.error('Could not queue request', { uuid, error });
+    return res.status(500).json({
+      error: 'Queue write failed',
+      message: 'The request could not be stored, try again later'
+    });
+  }
+  req.log.info('Request queued', { uuid, jobId: job.id, expiresAt: job.expiresAt });
+
+  // Connected proxies get it right away (after anything queued before it)
+  const conn = connections.get(`${churchToolsUrl}:${uuid}`);
+  if (conn) {
+    deliverQueuedRequests(conn);
+  }
+
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    expiresAt: job.expiresAt,
+    statusUrl: `/queue/${job.id}`
+  });
+}
+
+// Queued requests of a proxy (X-ID), oldest first
+app.get('/queue', async (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const uuid = req.headers['x-id'];
+
+  if (!uuid) {
+    return res.status(401).json({ error: 'Missing X-ID header' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  const authResult = await authenticateQueuedRequest(churchToolsUrl, req.headers['x-auth'], uuid, true);
+  if (authResult.error) {
+    return res.status(authResult.status).json({ error: authResult.error });
+  }
+
+  res.json({
+    uuid: uuid,
+    jobs: requestQueue.list(uuid).map(formatQueuedJob)
+  });
+});
+
+// Status of a single queued request, including the device's response once delivered
+app.get('/queue/:jobId', async (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const uuid = req.headers['x-id'];
+
+  if (!uuid) {
+    return res.status(401).json({ error: 'Missing X-ID header' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  const authResult = await authenticateQueuedRequest(churchToolsUrl, req.headers['x-auth'], uuid, true);
+  if (authResult.error) {
+    return res.status(authResult.status).json({ error: authResult.error });
+  }
+
+  const job = requestQueue.get(req.params.jobId);
+  if (!job || job.uuid !== uuid) {
+    return res.status(404).json({ error: 'Unknown job' });
+  }
+
+  res.json(formatQueuedJob(job));
+});
+
+// Broadcast endpoint - sends the same API request to every device at the proxy's location.
+// /broadcast/api/<path> is forwarded as /api/<path>; ONSONGROLE and ONSONGNAME narrow the target devices.
+app.all('/broadcast/api/*', express.raw({ type: () => true, limit: MAX_RAW_BODY_SIZE }), async (req, res) => {
+  const referrer = req.headers['referer'] || req.headers['referrer'];
+  const secret = req.headers['x-auth'];
+  const uuid = req.headers['x-id'];
+
+  if (!uuid) {
+    return res.status(401).json({ error: 'Missing X-ID header' });
+  }
+
+  const churchToolsUrl = getChurchToolsUrl(referrer);
+  if (!churchToolsUrl) {
+    return res.status(400).json({ error: 'Invalid or missing referrer' });
+  }
+
+  const authResult = findAndAuthenticateConnection(churchToolsUrl, secret, uuid);
+  if (authResult.error) {
+    return res.status(authResult.status).json({
+      error: authResult.error,
+      message: authResult.error
+    });
+  }
+
+  const conn = authResult.conn;
+  const forwardRequest = getForwardRequest(req);
+  if (!requireCapability(conn, 'broadcast', res) ||
+      (forwardRequest.bodyEncoding === 'base64' && !requireCapability(conn, 'binary-body', res))) {
+    return;
+  }
+
+  const { timeoutMs, waitMs, error: timeoutError } = getRequestTimeout(req, BROADCAST_TIMEOUT_MS);
+  if (timeoutError) {
+    return res.status(400).json({ error: 'Bad Request', message: timeoutError });
+  }
+
+  try {
+    // Devices are contacted in parallel, each with the device timeout; the service waits for the round trip on top
+    const response = await sendToProxy(conn, 'broadcast-request', {
+      method: req.method,
+      path: req.url.slice('/broadcast'.length),
+      filter: {
+        role: req.headers['onsongrole'],
+        name: req.headers['onsongname']
+      },
+      timeoutMs: timeoutMs,
+      correlationId: req.correlationId,
+      ...forwardRequest
+    }, waitMs, clientDisconnectSignal(res));
+
+    if (response.success) {
+      const results = response.results || [];
+      const succeeded = results.filter(result => result.success && result.statusCode < 400).length;
+
+      res.json({
+        success: true,
+        total: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+        results: results
+      });
+    } else {
+      res.status(502).json({
+        error: 'Bad Gateway',
+        message: response.error
+      });
+    }
+  } catch (error) {
+    if (error.code === 'CLIENT_ABORTED') {
+      return;
+    }
+    req.log.error('Broadcast error', { uuid, error });
+    sendProxyFailure(res, error);
+  }
+});
+
+// Read the TLS key and certificate from disk
+function loadTlsOptions() {
+  return {
+    key: fs.readFileSync(config.tlsKeyPath),
+    cert: fs.readFileSync(config.tlsCertPath)
+  };
+}
+
+// Create HTTPS server in direct TLS mode, otherwise HTTP (SSL terminated by nginx)
+let server;
+if (TLS_ENABLED) {
+  try {
+    server = https.createServer(loadTlsOptions(), app);
+  } catch (error) {
+    logger.error('Failed to load TLS certificate', { error });
+    process.exit(1);
+  }
+} else {
+  server = http.createServer(app);
+}
+
+// Swap in a renewed certificate for new TLS handshakes; open connections (and proxy WebSockets) keep running.
+// A broken or half-written certificate is logged and the current one stays active.
+function reloadCertificate(reason) {
+  try {
+    server.setSecureContext(loadTlsOptions());
+    logger.info('TLS certificate reloaded', { reason });
+  } catch (error) {
+    logger.error('TLS certificate reload failed, keeping the current certificate', { reason, error });
+  }
+}
+
+let certificateReloadTimer = null;
+if (TLS_ENABLED) {
+  process.on('SIGHUP', () => reloadCertificate('SIGHUP'));
+
+  // Key and certificate are usually replaced one after the other - wait until both are written
+  const onCertificateFileChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+    clearTimeout(certificateReloadTimer);
+    certificateReloadTimer = setTimeout(() => reloadCertificate('file change'), 2000);
+  };
+  fs.watchFile(config.tlsKeyPath, { interval: 10000 }, onCertificateFileChange);
+  fs.watchFile(config.tlsCertPath, { interval: 10000 }, onCertificateFileChange);
+}
+
+// Optional plain HTTP listener that redirects to HTTPS (and answers ACME HTTP-01 challenges from acmeWebroot)
+let redirectServer = null;
+if (TLS_ENABLED && config.httpRedirectPort) {
+  const redirectApp = express();
+
+  if (config.acmeWebroot) {
+    redirectApp.use('/.well-known/acme-challenge', express.static(path.join(config.acmeWebroot, '.well-known', 'acme-challenge')));
+  }
+
+  redirectApp.use((req, res) => {
+    const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!hostname) {
+      return res.status(400).end();
+    }
+    const portSuffix = PORT === 443 ? '' : `:${PORT}`;
+    res.redirect(301, `https://${hostname}${portSuffix}${req.originalUrl}`);
+  });
+
+  redirectServer = http.createServer(redirectApp);
+}
 
 // Create WebSocket server
 const wss = new WebSocket.Server({ server });
 
 wss.on('connection', (ws) => {
-  console.log('New WebSocket connection');
+  logger.debug('New WebSocket connection');
 
   let registeredKey = null;
+  // The connection entry owned by this socket (may differ from connections.get(registeredKey) after a takeover)
+  let registeredConn = null;
+  // Set while a register message is being verified
+  let registering = false;
+
+  const registerTimer = setTimeout(() => {
+    if (!registeredConn) {
+      logger.warn('Closing connection that did not register in time', { timeoutMs: REGISTER_TIMEOUT_MS });
+      ws.terminate();
+    }
+  }, REGISTER_TIMEOUT_MS);
 
-  ws.on('message', (data) => {
+  ws.on('message', async (data) => {
     try {
       const message = JSON.parse(data);
+      if (registeredConn) {
+        metrics.websocketMessages.inc({ direction: 'in', type: PROXY_MESSAGE_TYPES.has(message.type) ? message.type : 'unknown' });
+        // Any message proves the proxy is alive, not only pongs
+        registeredConn.lastSeenAt = Date.now();
+      }
 
       if (message.type === 'register') {
         // Register proxy connection
-        const { churchToolsUrl, secret, proxyVersion, uuid, location, public: isPublic } = message;
+        const { churchToolsUrl, secret, proxyVersion, uuid, location, public: isPublic, platform } = message;
+
+        // A second register on the same socket would replace registeredConn and orphan its pending requests
+        if (registeredConn || registering) {
+          logger.warn('Ignoring repeated registration on the same connection', { connectionKey: registeredKey, uuid });
+          sendMessage(ws, {
+            type: 'error',
+            message: 'Already registered on this connection'
+          });
+          return;
+        }
 
         if (!churchToolsUrl || !secret || !uuid) {
-          ws.send(JSON.stringify({
+          sendMessage(ws, {
             type: 'error',
             message: 'Missing churchToolsUrl, secret, or uuid'
-          }));
+          });
+          ws.close();
+          return;
+        }
+
+        const protocol = negotiateProtocol(message);
+        if (protocol.error) {
+          logger.warn('Rejected incompatible proxy', { uuid, churchToolsUrl, proxyVersion, reason: protocol.error });
+          admin.recordEvent('rejected', { tenant: churchToolsUrl, uuid: uuid, reason: protocol.error });
+          sendMessage(ws, {
+            type: 'error',
+            message: protocol.error
+          });
+          ws.close();
+          return;
+        }
+
+        // Only proxies issued by /download may register
+        if (ENROLL_UNKNOWN_PROXIES && !enrollments.get(uuid)) {
+          enrollments.enroll({ uuid, churchToolsUrl, secret, location, public: isPublic });
+          logger.info('Enrolled previously unknown proxy', { uuid, churchToolsUrl });
+        }
+
+        registering = true;
+        const verification = await enrollments.verify(churchToolsUrl, secret, uuid).finally(() => {
+          registering = false;
+        });
+        if (ws.readyState !== WebSocket.OPEN) {
+          // Closed while the secret was being checked
+          return;
+        }
+        if (verification.error) {
+          logger.warn('Rejected proxy registration', { uuid, churchToolsUrl, reason: verification.error });
+          admin.recordEvent('rejected', { tenant: churchToolsUrl, uuid: uuid, reason: verification.error });
+          sendMessage(ws, {
+            type: 'error',
+            message: verification.error
+          });
           ws.close();
           return;
         }
 
-        registeredKey = `${churchToolsUrl}:${uuid}`;
+        // The enrollment is authoritative: a proxy can't make itself public by editing its config.json
+        const { enrollment } = verification;
+        if (enrollment.public !== (isPublic || false) || enrollment.location !== (location || '')) {
+          logger.info('Proxy settings differ from its enrollment, using the enrollment', {
+            uuid,
+            churchToolsUrl,
+            public: enrollment.public,
+            location: enrollment.location,
+            reportedPublic: isPublic || false,
+            reportedLocation: location || ''
+          });
+        }
+
+        const connectionKey = `${churchToolsUrl}:${uuid}`;
+        const existing = connections.get(connectionKey);
+
+        if (existing && existing.ws !== ws) {
+          if (DUPLICATE_PROXY_POLICY === 'reject') {
+            logger.warn('Rejected duplicate registration, proxy already connected', { connectionKey });
+            admin.recordEvent('rejected', { tenant: churchToolsUrl, uuid: uuid, reason: 'Already connected' });
+            sendMessage(ws, {
+              type: 'error',
+              message: 'A proxy with this UUID is already connected'
+            });
+            ws.close();
+            return;
+          }
+
+          // Newer session wins: requests sent over the old socket will never be answered on the new one
+          logger.warn('Proxy registered again, superseding previous connection', { connectionKey });
+          admin.recordEvent('superseded', { tenant: churchToolsUrl, uuid: uuid, reason: 'Newer registration with the same UUID' });
+          failPendingRequests(existing, proxyDisconnectedError('Proxy connection superseded'));
+          sendMessage(existing.ws, {
+            type: 'superseded',
+            message: 'Another proxy registered with the same UUID'
+          });
+          existing.ws.close();
+        }
 
-        connections.set(registeredKey, {
+        registeredKey = connectionKey;
+        registeredConn = {
           churchToolsUrl: churchToolsUrl,
           secret: secret,
           uuid: uuid,
-          location: location || '',
-          public: isPublic || false,
+          location: enrollment.location || '',
+          public: enrollment.public || false,
           ws: ws,
           requestHandlers: {},
+          devices: new Map(),
+          logStreams: new Map(),
           registeredAt: new Date(),
-          proxyVersion: proxyVersion || 'unknown'
+          lastSeenAt: Date.now(),
+          proxyVersion: proxyVersion || 'unknown',
+          protocolVersion: protocol.protocolVersion,
+          capabilities: protocol.capabilities
+        };
+        connections.set(registeredKey, registeredConn);
+
+        logger.info('Proxy registered', {
+          uuid,
+          churchToolsUrl,
+          proxyVersion,
+          protocolVersion: protocol.protocolVersion,
+          capabilities: protocol.capabilities,
+          location: registeredConn.location,
+          public: registeredConn.public,
+          activeConnections: connections.size
         });
 
-        console.log(`Proxy registered: ${churchToolsUrl} (version: ${proxyVersion}, UUID: ${uuid}, location: ${location || 'none'}, public: ${isPublic || false})`);
-        console.log(`Active connections: ${connections.size}`);
-
-        ws.send(JSON.stringify({
+        sendMessage(ws, {
           type: 'registered',
-          message: 'Successfully registered'
-        }));
-      } else if (message.type === 'discover-response' || message.type === 'api-response') {
+          message: 'Successfully registered',
+          protocolVersion: protocol.protocolVersion,
+          capabilities: protocol.capabilities
+        });
+
+        admin.recordEvent('connected', { tenant: churchToolsUrl, uuid: uuid, location: registeredConn.location });
+        sendPresenceEvent(registeredKey, 'proxy-online', { uuid: uuid });
+        const conn = registeredConn;
+        seedDeviceCache(conn, registeredKey).then(() => deliverQueuedRequests(conn));
+
+        offerUpdate(registeredConn, platform);
+      } else if (message.type === 'discover-response' || message.type === 'api-response' || message.type === 'broadcast-response' ||
+          message.type === 'diagnostics-response' || message.type === 'logs-response' ||
+          message.type === 'session-start-response' || message.type === 'session-stop-response' || message.type === 'sessions-response') {
         // Handle response from proxy
-        if (registeredKey) {
-          const conn = connections.get(registeredKey);
-          if (conn && conn.requestHandlers[message.requestId]) {
-            conn.requestHandlers[message.requestId](message);
-          }
+        if (registeredConn && registeredConn.requestHandlers[message.requestId]) {
+          registeredConn.requestHandlers[message.requestId].resolve(message);
+        }
+      } else if (message.type === 'device-up' || message.type === 'device-updated' || message.type === 'device-down') {
+        // Device presence change pushed by the proxy
+        if (registeredConn) {
+          handleDeviceEvent(registeredConn, registeredKey, message);
+        }
+      } else if (message.type === 'log-entry') {
+        // Live log entry for a /logs?follow=true stream
+        const stream = registeredConn && registeredConn.logStreams.get(message.streamId);
+        if (stream) {
+          stream.write(`event: log\ndata: ${JSON.stringify(message.entry)}\n\n`);
         }
       } else if (message.type === 'pong') {
         // Pong response to keep-alive ping
-        console.log(`Pong received from ${registeredKey}`);
+        logger.debug('Pong received', { connectionKey: registeredKey });
       }
     } catch (error) {
-      console.error('WebSocket message error:', error.message);
+      logger.error('WebSocket message error', { connectionKey: registeredKey, error });
     }
   });
 
   ws.on('close', () => {
+    clearTimeout(registerTimer);
     if (registeredKey) {
-      console.log(`Proxy disconnected: ${registeredKey}`);
-      connections.delete(registeredKey);
-      console.log(`Active connections: ${connections.size}`);
+      logger.info('Proxy disconnected', { connectionKey: registeredKey });
+      admin.recordEvent('disconnected', { tenant: registeredConn.churchToolsUrl, uuid: registeredConn.uuid, location: registeredConn.location });
+
+      // Responses can't arrive on a closed socket, don't let callers wait for the request timeout
+      failPendingRequests(registeredConn, proxyDisconnectedError('Proxy disconnected before responding'));
+      // Live log streams end with the proxy connection
+      registeredConn.logStreams.forEach(stream => stream.end());
+      registeredConn.logStreams.clear();
+      // Only remove our own entry - a newer session may have taken over this key
+      if (connections.get(registeredKey) === registeredConn) {
+        connections.delete(registeredKey);
+        sendPresenceEvent(registeredKey, 'proxy-offline', { uuid: registeredConn.uuid });
+      }
+      logger.info('Active connections', { activeConnections: connections.size });
     } else {
-      console.log('Unregistered connection closed');
+      logger.debug('Unregistered connection closed');
     }
   });
 
   ws.on('error', (error) => {
-    console.error('WebSocket error:', error.message);
+    logger.error('WebSocket error', { connectionKey: registeredKey, error });
   });
 });
 
-// Keep-alive ping every 30 seconds
+// Keep-alive ping every heartbeat interval, terminating proxies that stopped answering
 setInterval(() => {
+  // Comment lines keep presence streams open through idle timeouts
+  presenceSubscribers.forEach(subscribers => {
+    subscribers.forEach(res => res.write(': keepalive\n\n'));
+  });
+  connections.forEach(conn => {
+    conn.logStreams.forEach(res => res.write(': keepalive\n\n'));
+  });
+
+  expireQueuedRequests().catch(error => logger.error('Could not expire queued requests', { error }));
+
   connections.forEach((conn, url) => {
+    // Disconnect proxies that were revoked while connected
+    const enrollment = enrollments.get(conn.uuid);
+    if (!enrollment || enrollment.revoked) {
+      logger.warn('Disconnecting revoked proxy', { connectionKey: url });
+      disconnectProxy(conn, 'Proxy has been revoked');
+      return;
+    }
+    // Follow edits of the enrollment (public, location) made while the proxy is connected
+    conn.public = enrollment.public || false;
+    conn.location = enrollment.location || '';
+
+    // Half-open connections (proxy crashed, network dropped) never send a close frame
+    const silentMs = Date.now() - conn.lastSeenAt;
+    if (silentMs > HEARTBEAT_TIMEOUT_MS) {
+      logger.warn('Terminating unresponsive proxy', { connectionKey: url, silentMs });
+      admin.recordEvent('heartbeat-timeout', { tenant: conn.churchToolsUrl, uuid: conn.uuid, reason: `No message for ${Math.round(silentMs / 1000)}s` });
+      metrics.proxyHeartbeatTimeouts.inc();
+      conn.ws.terminate();
+      return;
+    }
+
     if (conn.ws.readyState === WebSocket.OPEN) {
-      conn.ws.send(JSON.stringify({ type: 'ping' }));
+      sendMessage(conn.ws, { type: 'ping' });
     }
   });
-}, 30000);
+}, HEARTBEAT_INTERVAL_MS);
 
 // Start server
+if (redirectServer) {
+  redirectServer.listen(config.httpRedirectPort, () => {
+    logger.info('Redirecting HTTP to HTTPS', { port: config.httpRedirectPort, acmeWebroot: config.acmeWebroot || null });
+  });
+}
+
 server.listen(PORT, () => {
   console.log('\n========================================');
   console.log('OnSong Service Started');
   console.log('========================================');
-  console.log(`HTTP Port: ${PORT} (SSL handled by nginx)`);
-  console.log(`WebSocket: ws://localhost:${PORT} (proxied to wss:// by nginx)`);
+  if (TLS_ENABLED) {
+    console.log(`HTTPS Port: ${PORT} (direct TLS, certificate reloads on SIGHUP or file change)`);
+    console.log(`WebSocket: wss://localhost:${PORT}`);
+    console.log(`Certificate: ${config.tlsCertPath}`);
+    if (redirectServer) {
+      console.log(`HTTP Redirect Port: ${config.httpRedirectPort}`);
+    }
+  } else {
+    console.log(`HTTP Port: ${PORT} (SSL handled by nginx)`);
+    console.log(`WebSocket: ws://localhost:${PORT} (proxied to wss:// by nginx)`);
+  }
+  console.log(`Service URL: ${SERVICE_URL}`);
+  console.log(`Config File: ${config.configPath || 'none (defaults and environment)'}`);
+  console.log(`Log Level: ${logger.level} (JSON lines)`);
   console.log('========================================');
   console.log('\nEndpoints:');
   console.log('  GET  /health                - Health check');
+  console.log(`  GET  /metrics               - Prometheus metrics${METRICS_TOKEN ? ' (requires bearer token)' : ''}`);
+  console.log(`  GET  /admin                 - Admin dashboard${config.adminPassword ? ` (user: ${config.adminUsername})` : ' (disabled, set adminPassword)'}`);
   console.log('  GET  /download              - Download proxy executable');
+  console.log('  GET  /updates/:token        - Self-update download for outdated proxies');
   console.log('  GET  /proxycheck            - Check if proxy is registered (always requires secret)');
+  console.log('  GET  /proxies               - List proxies of a ChurchTools instance');
   console.log('  GET  /discover              - Discover OnSong devices');
+  console.log('  GET  /events                - Device presence events (Server-Sent Events)');
+  console.log('  GET  /diagnostics           - Diagnostics snapshot of a proxy (always requires secret)');
+  console.log('  GET  /logs                  - Recent or live proxy logs (always requires secret)');
   console.log('  ALL  /api/*                 - Proxy API requests');
+  console.log('  ALL  /broadcast/api/*       - Send an API request to all devices of a proxy');
+  console.log('  GET  /queue                 - Queued requests of a proxy (always requires secret)');
+  console.log('  GET  /queue/:jobId          - Status and device response of a queued request (always requires secret)');
+  console.log('  GET  /sessions[/:deviceId]  - Device sessions kept alive by a proxy');
+  console.log('  POST /sessions/:deviceId    - Start a device session');
+  console.log('  DEL  /sessions/:deviceId    - Stop a device session');
   console.log('\nRequired Headers:');
-  console.log('  X-ID      - Proxy UUID (required for /proxycheck, /discover, and /api)');
+  console.log('  X-ID      - Proxy UUID (required for /proxycheck, /discover, /events, /diagnostics, /logs, and /api)');
   console.log('  X-AUTH    - Authentication secret');
-  console.log('              - Always required for /proxycheck');
-  console.log('              - Required for /discover and /api if proxy is not public');
+  console.log('              - Always required for /proxycheck, /proxies, /diagnostics, and /logs');
+  console.log('              - Required for /discover, /events, and /api if proxy is not public');
   console.log('  ONSONGIP  - Target device IP (for /api)');
+  console.log('  ONSONGDEVICE - Target device ID, resolved to its current address (for /api, instead of ONSONGIP)');
   console.log('  Referer   - ChurchTools URL');
+  console.log('\nOptional Headers:');
+  console.log('  X-Correlation-ID - Traces a request through service and proxy logs (generated if missing, always returned)');
+  console.log('  X-Request-Timeout - Device timeout in milliseconds (for /api and /broadcast/api)');
+  console.log('  X-Queue   - "true" queues an /api request until the proxy is online (answers 202 with a job ID)');
   console.log('\nCORS Enabled for:');
-  console.log('  *.church.tools domains');
-  console.log('  *.krz.tools domains');
-  console.log('  localhost/127.0.0.1 (testing)');
-  console.log('  *.test domains (testing)');
+  config.allowedOrigins.forEach(pattern => console.log(`  ${pattern}`));
+  Object.keys(config.tenantOrigins).forEach(tenant => {
+    console.log(`  ${config.tenantOrigins[tenant].join(', ')} (for ${tenant})`);
+  });
   console.log('========================================\n');
 });
 
 // Graceful shutdown
 function shutdown() {
-  console.log('\n\nShutting down service...');
+  logger.info('Shutting down service');
 
   wss.clients.forEach((ws) => {
     ws.close();
   });
 
+  if (TLS_ENABLED) {
+    clearTimeout(certificateReloadTimer);
+    fs.unwatchFile(config.tlsKeyPath);
+    fs.unwatchFile(config.tlsCertPath);
+  }
+  if (redirectServer) {
+    redirectServer.close();
+  }
+
   server.close(() => {
-    console.log('Service stopped.');
+    logger.info('Service stopped');
     process.exit(0);
   });
 }
@@ -39,6 +39,9 @@ exec(opensslCommand, (error, stdout, stderr) => {
   console.log('SSL certificate generated successfully!');
   console.log(`  Private Key: ${keyPath}`);
   console.log(`  Certificate: ${certPath}`);
+  console.log('\nTo serve HTTPS/WSS directly (without nginx), add to config.json:');
+  console.log('  "tlsKeyPath": "certs/key.pem",');
+  console.log('  "tlsCertPath": "certs/cert.pem"');
   console.log('\nIMPORTANT: For production use, replace these self-signed certificates');
   console.log('with certificates from a trusted Certificate Authority (e.g., Let\'s Encrypt).');
 });